@@ -37,7 +37,7 @@ export default async function handler(req, res) {
     // 2. Verify Access Code
     const { data: codeRow, error: codeErr } = await supabase
         .from("access_codes")
-        .select("id, code, is_active")
+        .select("id, code, is_active, assigned_user_id")
         .eq("code", accessCode.trim())
         .maybeSingle();
 
@@ -77,6 +77,24 @@ export default async function handler(req, res) {
         user = created;
     }
 
+    // Keep the admin view of codes current: which user a code belongs to and when it was last used.
+    // Bookkeeping only: a failure is logged and never blocks the login.
+    const { error: loginErr } = await supabase
+        .from("users")
+        .update({ last_login_at: new Date().toISOString() })
+        .eq("id", user.id);
+
+    if (loginErr) console.error("DB Error (user last login):", loginErr);
+
+    if (codeRow.assigned_user_id !== user.id) {
+        const { error: assignErr } = await supabase
+            .from("access_codes")
+            .update({ assigned_user_id: user.id })
+            .eq("id", codeRow.id);
+
+        if (assignErr) console.error("DB Error (access_codes assign):", assignErr);
+    }
+
     // 4. Sign JWT (Standard Supabase JWT)
     // Payload must contain: aud: 'authenticated', role: 'authenticated', sub: user.id
     // Signed with SUPABASE_JWT_SECRET (found in dashboard settings -> API)
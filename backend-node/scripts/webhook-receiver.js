@@ -0,0 +1,38 @@
+// Local stand-in for a webhook receiver: logs each delivery and checks its signature.
+//   WEBHOOK_SECRET=<secret> FAIL_FIRST=2 node scripts/webhook-receiver.js
+// FAIL_FIRST answers the first N requests with 503 to exercise the retries.
+import crypto from "node:crypto";
+import http from "node:http";
+
+const port = Number(process.env.PORT ?? "9000");
+const secret = process.env.WEBHOOK_SECRET ?? null;
+let failuresLeft = Number(process.env.FAIL_FIRST ?? "0");
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const event = req.headers["x-megabike-event"];
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`${event}: answering 503 (${failuresLeft} failures left)`);
+        res.writeHead(503).end();
+        return;
+      }
+      const expected = secret && `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+      const valid = secret ? req.headers["x-megabike-signature"] === expected : null;
+      console.log(`${event}: signature ${valid === null ? "not checked" : valid ? "valid" : "INVALID"}`);
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        console.log(`${event}: body is not JSON`);
+        res.writeHead(400).end();
+        return;
+      }
+      console.log(JSON.stringify(payload, null, 2));
+      res.writeHead(valid === false ? 401 : 204).end();
+    });
+  })
+  .listen(port, () => console.log(`Webhook receiver listening on :${port}`));
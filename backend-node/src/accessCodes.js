@@ -0,0 +1,94 @@
+import { z } from "zod";
+import { supabase } from "./supabase.js";
+import { fetchAll, randomCode } from "./utils.js";
+
+const MAX_ATTEMPTS = 5;
+
+// Either prefix + `length` random characters, or a pattern whose `#`s become random characters.
+export const generateSchema = z
+  .object({
+    count: z.number().int().min(1).max(500),
+    prefix: z
+      .string()
+      .regex(/^[A-Za-z0-9-]*$/)
+      .max(20)
+      .default("MB-"),
+    length: z.number().int().min(4).max(32).default(10),
+    pattern: z
+      .string()
+      .regex(/^[A-Za-z0-9#-]+$/)
+      .max(40)
+      .refine((p) => (p.match(/#/g) ?? []).length >= 4, { message: "pattern needs at least 4 #" })
+      .optional(),
+  })
+  .strict();
+
+function newCode({ prefix, length, pattern }) {
+  if (pattern) return pattern.replace(/#/g, () => randomCode(1));
+  return `${prefix}${randomCode(length)}`;
+}
+
+/**
+ * Insert `count` new active codes. Candidates that collide with each other or with existing codes are
+ * redrawn; a pattern with too few `#` for the requested count fails after a few attempts.
+ */
+export async function generateAccessCodes(options) {
+  const codes = new Set();
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && codes.size < options.count; attempt++) {
+    const candidates = new Set();
+    while (candidates.size < options.count - codes.size) candidates.add(newCode(options));
+    for (const code of codes) candidates.delete(code);
+
+    const { data: taken, error } = await supabase.from("access_codes").select("code").in("code", [...candidates]);
+    if (error) throw error;
+    for (const row of taken ?? []) candidates.delete(row.code);
+    for (const code of candidates) codes.add(code);
+  }
+  if (codes.size < options.count) throw new Error("Could not generate enough unique codes");
+
+  const { data, error } = await supabase
+    .from("access_codes")
+    .insert([...codes].map((code) => ({ code, is_active: true })))
+    .select("id, code, is_active, created_at");
+  if (error) throw error;
+  return (data ?? []).map(toAccessCode);
+}
+
+function toAccessCode(row) {
+  // users.access_code_id is unique, so the embed is a single row (or an array with one, depending on version).
+  const user = Array.isArray(row.users) ? row.users[0] : row.users;
+  return {
+    id: row.id,
+    code: row.code,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    user: user ? { id: user.id, displayName: user.display_name } : null,
+    lastLoginAt: user?.last_login_at ?? null,
+  };
+}
+
+// All codes (optionally filtered by active flag or a code prefix), oldest first.
+export async function listAccessCodes({ active, prefix } = {}) {
+  const rows = await fetchAll("code", () => {
+    let q = supabase
+      .from("access_codes")
+      .select("id, code, is_active, created_at, users(id, display_name, last_login_at)")
+      .order("created_at", { ascending: true });
+    if (active !== undefined) q = q.eq("is_active", active);
+    if (prefix) q = q.ilike("code", `${prefix.replace(/[%_\\]/g, "\\$&")}%`);
+    return q;
+  });
+  return rows.map(toAccessCode);
+}
+
+// Returns the updated code, or null if it does not exist.
+export async function setAccessCodeActive(id, isActive) {
+  const { data, error } = await supabase
+    .from("access_codes")
+    .update({ is_active: isActive })
+    .eq("id", id)
+    .select("id, code, is_active, created_at, users(id, display_name, last_login_at)")
+    .maybeSingle();
+  if (error) throw error;
+  return data ? toAccessCode(data) : null;
+}
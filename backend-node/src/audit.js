@@ -0,0 +1,59 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+
+/**
+ * Every team of a season with what is wrong with it against the season rules: roster size,
+ * riders without a season price, budget at season prices, a stale total_cost, inactive riders.
+ */
+export async function teamWarnings(config) {
+  const teams = await fetchAll("id", () =>
+    supabase
+      .from("teams")
+      .select("id, team_name, points, total_cost, locked, users(display_name)")
+      .eq("season_year", config.seasonYear)
+      .order("team_name", { ascending: true })
+  );
+  const teamIds = teams.map((t) => t.id);
+  const roster = teamIds.length
+    ? await fetchAll(["team_id", "slot"], () =>
+        supabase.from("team_riders").select("team_id, rider_id, riders(rider_name, active)").in("team_id", teamIds)
+      )
+    : [];
+  const prices = await fetchAll("rider_id", () =>
+    supabase.from("rider_prices").select("rider_id, price").eq("season_year", config.seasonYear)
+  );
+  const priceById = new Map(prices.map((p) => [p.rider_id, p.price]));
+
+  const ridersByTeam = new Map();
+  for (const row of roster) {
+    if (!ridersByTeam.has(row.team_id)) ridersByTeam.set(row.team_id, []);
+    ridersByTeam.get(row.team_id).push(row);
+  }
+
+  return teams.map((t) => {
+    const riders = ridersByTeam.get(t.id) ?? [];
+    const warnings = [];
+    if (riders.length !== config.rosterSize) warnings.push(`${riders.length}/${config.rosterSize} riders`);
+
+    const unpriced = riders.filter((r) => !priceById.has(r.rider_id));
+    if (unpriced.length) warnings.push(`No ${config.seasonYear} price: ${unpriced.map((r) => r.riders?.rider_name).join(", ")}`);
+
+    const cost = riders.reduce((sum, r) => sum + (priceById.get(r.rider_id) ?? 0), 0);
+    if (cost > config.budget) warnings.push(`Over budget by ${cost - config.budget}`);
+    if (!unpriced.length && cost !== t.total_cost) warnings.push(`Stored cost ${t.total_cost} != ${cost}`);
+
+    const inactive = riders.filter((r) => r.riders && !r.riders.active);
+    if (inactive.length) warnings.push(`Inactive: ${inactive.map((r) => r.riders.rider_name).join(", ")}`);
+
+    return {
+      id: t.id,
+      teamName: t.team_name,
+      owner: t.users?.display_name ?? null,
+      points: t.points,
+      totalCost: t.total_cost,
+      riders: riders.length,
+      locked: t.locked,
+      warnings,
+    };
+  });
+}
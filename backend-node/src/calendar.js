@@ -0,0 +1,56 @@
+import { supabase } from "./supabase.js";
+import { raceSlugFor } from "./sync.js";
+
+export const RACE_STATUSES = ["upcoming", "results_pending", "scored"];
+
+/**
+ * Every race on a season's calendar with its scoring state: "scored" (results stored),
+ * "results_pending" (raced, no results yet) or "upcoming". Races the ingest worker has not created
+ * yet have id/date null and are listed after the dated ones, in calendar order.
+ */
+export async function seasonCalendar(config, today = new Date().toISOString().slice(0, 10)) {
+  const slugs = config.races.map((r) => raceSlugFor(r.key, config.seasonYear));
+  const { data, error } = await supabase
+    .from("races")
+    .select("id, pcs_slug, name, race_date, updated_at, race_results(count)")
+    .in("pcs_slug", slugs);
+  if (error) throw error;
+  const bySlug = new Map((data ?? []).map((r) => [r.pcs_slug, r]));
+
+  const races = config.races.map((race, idx) => {
+    const row = bySlug.get(slugs[idx]);
+    const results = row?.race_results?.[0]?.count ?? 0;
+    let status = "upcoming";
+    if (results > 0) status = "scored";
+    else if (row && row.race_date <= today) status = "results_pending";
+    return {
+      key: race.key,
+      tier: race.tier,
+      id: row?.id ?? null,
+      name: row?.name ?? race.key,
+      date: row?.race_date ?? null,
+      results,
+      updatedAt: row?.updated_at ?? null,
+      status,
+    };
+  });
+  const dated = races.filter((r) => r.date).sort((a, b) => a.date.localeCompare(b.date));
+  return [...dated, ...races.filter((r) => !r.date)];
+}
+
+// Rank-1 rider of each race: Map raceId -> { riderId, rider_name, team_name }.
+export async function raceWinners(raceIds) {
+  if (raceIds.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from("race_results")
+    .select("race_id, rider_id, riders(rider_name, team_name)")
+    .in("race_id", raceIds)
+    .eq("rank", 1);
+  if (error) throw error;
+  return new Map(
+    (data ?? []).map((r) => [
+      r.race_id,
+      { riderId: r.rider_id, rider_name: r.riders?.rider_name ?? null, team_name: r.riders?.team_name ?? null },
+    ])
+  );
+}
@@ -0,0 +1,77 @@
+import { supabase } from "./supabase.js";
+
+const PLACES = ["winner", "second", "third"];
+
+async function countTeams(seasonYear, minPoints = null) {
+  let q = supabase.from("teams").select("id", { count: "exact", head: true }).eq("season_year", seasonYear);
+  if (minPoints !== null) q = q.gt("points", minPoints);
+  const { count, error } = await q;
+  if (error) throw error;
+  return count ?? 0;
+}
+
+/**
+ * A player's seasons: their team, points and rank (final once the season is closed, live otherwise),
+ * plus hall of fame seasons linked to them without a team (history from before the app).
+ * Returns null for an unknown user, else { user, seasons, summary }.
+ */
+export async function userCareer(userId) {
+  const { data: user, error: userErr } = await supabase
+    .from("users")
+    .select("id, display_name, profile_image_url")
+    .eq("id", userId)
+    .maybeSingle();
+  if (userErr) throw userErr;
+  if (!user) return null;
+
+  const { data: teams, error: teamsErr } = await supabase
+    .from("teams")
+    .select("id, season_year, team_name, points, final_rank")
+    .eq("user_id", userId)
+    .order("season_year", { ascending: false });
+  if (teamsErr) throw teamsErr;
+
+  const { data: podiums, error: podiumErr } = await supabase
+    .from("seasons")
+    .select("season_year, winner_user_id, second_user_id, third_user_id")
+    .or(PLACES.map((p) => `${p}_user_id.eq.${userId}`).join(","));
+  if (podiumErr) throw podiumErr;
+  const placeBySeason = new Map(
+    (podiums ?? []).map((s) => [s.season_year, PLACES.findIndex((p) => s[`${p}_user_id`] === userId) + 1])
+  );
+
+  const seasons = [];
+  for (const t of teams ?? []) {
+    const teamsInSeason = await countTeams(t.season_year);
+    // Live rank (competition ranking) until an admin closes the season.
+    const rank = t.final_rank ?? (await countTeams(t.season_year, t.points)) + 1;
+    seasons.push({
+      season: t.season_year,
+      teamId: t.id,
+      teamName: t.team_name,
+      points: t.points,
+      rank,
+      final: t.final_rank !== null,
+      teams: teamsInSeason,
+      podium: placeBySeason.get(t.season_year) ?? null,
+    });
+  }
+  for (const [season, place] of placeBySeason) {
+    if (seasons.some((s) => s.season === season)) continue;
+    seasons.push({ season, teamId: null, teamName: null, points: null, rank: place, final: true, teams: null, podium: place });
+  }
+  seasons.sort((a, b) => b.season - a.season);
+
+  const finalRanks = seasons.filter((s) => s.final).map((s) => s.rank);
+  return {
+    user: { id: user.id, displayName: user.display_name, profileImageUrl: user.profile_image_url ?? null },
+    seasons,
+    summary: {
+      seasonsPlayed: seasons.length,
+      bestFinish: finalRanks.length ? Math.min(...finalRanks) : null,
+      titles: seasons.filter((s) => s.podium === 1).length,
+      podiums: seasons.filter((s) => s.podium !== null).length,
+      totalPoints: seasons.reduce((sum, s) => sum + (s.points ?? 0), 0),
+    },
+  };
+}
@@ -0,0 +1,129 @@
+import { supabase } from "./supabase.js";
+import { loadRosterStints, loadSeasonResults, scoreStints, stintCovers } from "./transfers.js";
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Two teams of the same season side by side: current riders they share or hold alone, the cost gap and,
+ * per race run so far, the points each side got from riders the other didn't own that day (shared
+ * riders score for both, so these per-race points add up to the gap in the standings).
+ * Returns null when either team does not exist; throws 400 errors for a team compared with itself or
+ * teams from different seasons.
+ */
+export async function compareTeams(teamAId, teamBId) {
+  if (teamAId === teamBId) throw badRequest("Pick two different teams.");
+
+  const { data: teams, error } = await supabase
+    .from("teams")
+    .select("id, team_name, season_year, total_cost, users(display_name)")
+    .in("id", [teamAId, teamBId]);
+  if (error) throw error;
+  const teamA = (teams ?? []).find((t) => t.id === teamAId);
+  const teamB = (teams ?? []).find((t) => t.id === teamBId);
+  if (!teamA || !teamB) return null;
+  if (teamA.season_year !== teamB.season_year) throw badRequest("Teams are from different seasons.");
+  const seasonYear = teamA.season_year;
+
+  const stintsByTeam = await loadRosterStints([teamA.id, teamB.id]);
+  const stintsA = stintsByTeam.get(teamA.id);
+  const stintsB = stintsByTeam.get(teamB.id);
+  const riderIds = [...new Set([...stintsA, ...stintsB].map((s) => s.riderId))];
+  const results = await loadSeasonResults(seasonYear, riderIds);
+  const scoreA = scoreStints(stintsA, results);
+  const scoreB = scoreStints(stintsB, results);
+
+  let riders = [];
+  if (riderIds.length) {
+    const { data, error: ridersErr } = await supabase
+      .from("riders")
+      .select("id, rider_name, team_name, rider_prices(season_year, price)")
+      .in("id", riderIds);
+    if (ridersErr) throw ridersErr;
+    riders = data ?? [];
+  }
+  const riderById = new Map(riders.map((r) => [r.id, r]));
+  const riderRow = (riderId) => {
+    const r = riderById.get(riderId);
+    return {
+      riderId,
+      rider_name: r?.rider_name ?? null,
+      team_name: r?.team_name ?? null,
+      price: r?.rider_prices?.find((p) => p.season_year === seasonYear)?.price ?? 0,
+    };
+  };
+
+  // Current rosters; points are what the rider earned for that team since joining it.
+  const currentA = new Map(scoreA.stints.filter((s) => !s.to).map((s) => [s.riderId, s.points]));
+  const currentB = new Map(scoreB.stints.filter((s) => !s.to).map((s) => [s.riderId, s.points]));
+  const shared = [];
+  const uniqueA = [];
+  for (const [riderId, points] of currentA) {
+    if (currentB.has(riderId)) {
+      shared.push({ ...riderRow(riderId), teamAPoints: points, teamBPoints: currentB.get(riderId) });
+    } else {
+      uniqueA.push({ ...riderRow(riderId), points });
+    }
+  }
+  const uniqueB = [...currentB]
+    .filter(([riderId]) => !currentA.has(riderId))
+    .map(([riderId, points]) => ({ ...riderRow(riderId), points }));
+  const byPoints = (a, b) => b.points - a.points || (a.rider_name ?? "").localeCompare(b.rider_name ?? "");
+  uniqueA.sort(byPoints);
+  uniqueB.sort(byPoints);
+  shared.sort((a, b) => (a.rider_name ?? "").localeCompare(b.rider_name ?? ""));
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { data: races, error: racesErr } = await supabase
+    .from("races")
+    .select("id, name, race_date")
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`)
+    .lte("race_date", today)
+    .order("race_date", { ascending: true });
+  if (racesErr) throw racesErr;
+
+  const resultsByRace = new Map();
+  for (const r of results) {
+    if (!resultsByRace.has(r.race_id)) resultsByRace.set(r.race_id, []);
+    resultsByRace.get(r.race_id).push(r);
+  }
+  const uniquePoints = (own, other, race, raceResults) => {
+    const owned = new Set(own.filter((s) => stintCovers(s, race.race_date)).map((s) => s.riderId));
+    for (const s of other) {
+      if (stintCovers(s, race.race_date)) owned.delete(s.riderId);
+    }
+    return raceResults.filter((r) => owned.has(r.rider_id)).reduce((sum, r) => sum + (r.points_awarded ?? 0), 0);
+  };
+
+  let gap = 0;
+  const perRace = (races ?? []).map((race) => {
+    const raceResults = resultsByRace.get(race.id) ?? [];
+    const a = uniquePoints(stintsA, stintsB, race, raceResults);
+    const b = uniquePoints(stintsB, stintsA, race, raceResults);
+    gap += a - b;
+    return { id: race.id, name: race.name, date: race.race_date, teamA: a, teamB: b, gap };
+  });
+
+  const side = (team, score, unique) => ({
+    id: team.id,
+    teamName: team.team_name,
+    ownerName: team.users?.display_name ?? null,
+    totalCost: team.total_cost,
+    points: score.total,
+    unique,
+  });
+
+  return {
+    season: seasonYear,
+    teamA: side(teamA, scoreA, uniqueA),
+    teamB: side(teamB, scoreB, uniqueB),
+    shared,
+    costDifference: teamA.total_cost - teamB.total_cost,
+    pointsDifference: scoreA.total - scoreB.total,
+    races: perRace,
+  };
+}
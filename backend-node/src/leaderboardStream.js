@@ -0,0 +1,70 @@
+import { currentStandings } from "./standings.js";
+
+// Heartbeat for proxies, and check for points written outside this process (the Python worker).
+const TICK_MS = 30000;
+
+const clients = new Map(); // seasonYear -> Set of open SSE responses
+const lastSent = new Map(); // seasonYear -> body of the last `standings` event broadcast
+let timer = null;
+
+function event(body) {
+  return `event: standings\ndata: ${body}\n\n`;
+}
+
+function tick() {
+  for (const [seasonYear, responses] of clients) {
+    for (const res of responses) res.write(": heartbeat\n\n");
+    publishStandings(seasonYear).catch((err) => console.error("Standings stream check failed", err));
+  }
+}
+
+function unsubscribe(seasonYear, res) {
+  const responses = clients.get(seasonYear);
+  responses?.delete(res);
+  if (responses && !responses.size) {
+    clients.delete(seasonYear);
+    lastSent.delete(seasonYear);
+  }
+  if (!clients.size && timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Turn `res` into a Server-Sent Events stream of the season's standings: the current standings right
+ * away, then again whenever they change. Throws (before any header is sent) if they can't be loaded.
+ */
+export async function subscribeStandings(seasonYear, res) {
+  const teams = await currentStandings(seasonYear);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 10000\n\n");
+  res.write(event(JSON.stringify({ season: seasonYear, teams })));
+
+  if (!clients.has(seasonYear)) clients.set(seasonYear, new Set());
+  clients.get(seasonYear).add(res);
+  res.on("close", () => unsubscribe(seasonYear, res));
+  if (!timer) {
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+  }
+}
+
+/**
+ * Push the season's standings to its subscribers if they changed since the last broadcast. Called after
+ * every recompute of `teams.points`; a no-op when nobody is watching the season.
+ */
+export async function publishStandings(seasonYear) {
+  if (!clients.get(seasonYear)?.size) return;
+  const body = JSON.stringify({ season: seasonYear, teams: await currentStandings(seasonYear) });
+  if (lastSent.get(seasonYear) === body) return;
+  lastSent.set(seasonYear, body);
+  for (const res of clients.get(seasonYear) ?? []) res.write(event(body));
+}
@@ -0,0 +1,124 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+import { getSeasonConfig } from "./seasons.js";
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * Best roster in hindsight: exactly `rosterSize` distinct riders, total price <= budget, max points.
+ * 0/1 knapsack with a cardinality constraint, dp[count][cost] = best points; prices are divided by
+ * their common divisor to keep the table small. Returns { points, cost, riders } or null if no
+ * roster of that size fits the budget.
+ */
+export function bestTeam(riders, { rosterSize, budget }) {
+  // Only scorers can matter, plus the cheapest non-scorers to fill the remaining slots.
+  const scorers = riders.filter((r) => r.points > 0);
+  const fillers = riders
+    .filter((r) => r.points <= 0)
+    .sort((a, b) => a.price - b.price)
+    .slice(0, rosterSize);
+  const items = [...scorers, ...fillers];
+  if (items.length < rosterSize) return null;
+
+  const unit = items.reduce((g, r) => gcd(g, r.price), budget) || 1;
+  const cap = Math.floor(budget / unit);
+  const width = cap + 1;
+  const k = rosterSize;
+
+  const NONE = -1;
+  const dp = new Float64Array((k + 1) * width).fill(NONE);
+  dp[0] = 0;
+  // keep bit for (item, count, cost): whether the item improved dp[count][cost].
+  const keep = new Uint8Array(Math.ceil((items.length * (k + 1) * width) / 8));
+
+  items.forEach((item, i) => {
+    const w = item.price / unit;
+    for (let j = Math.min(k, i + 1); j >= 1; j--) {
+      const row = j * width;
+      const prev = (j - 1) * width;
+      for (let c = cap; c >= w; c--) {
+        const base = dp[prev + c - w];
+        if (base === NONE) continue;
+        const candidate = base + item.points;
+        if (candidate > dp[row + c]) {
+          dp[row + c] = candidate;
+          const bit = (i * (k + 1) + j) * width + c;
+          keep[bit >> 3] |= 1 << (bit & 7);
+        }
+      }
+    }
+  });
+
+  let bestCost = NONE;
+  for (let c = 0; c <= cap; c++) {
+    if (dp[k * width + c] === NONE) continue;
+    if (bestCost === NONE || dp[k * width + c] > dp[k * width + bestCost]) bestCost = c;
+  }
+  if (bestCost === NONE) return null;
+
+  const picked = [];
+  let j = k;
+  let c = bestCost;
+  for (let i = items.length - 1; i >= 0 && j > 0; i--) {
+    const bit = (i * (k + 1) + j) * width + c;
+    if (keep[bit >> 3] & (1 << (bit & 7))) {
+      picked.push(items[i]);
+      c -= items[i].price / unit;
+      j -= 1;
+    }
+  }
+
+  return {
+    points: picked.reduce((sum, r) => sum + r.points, 0),
+    cost: picked.reduce((sum, r) => sum + r.price, 0),
+    riders: picked.sort((a, b) => b.points - a.points || b.price - a.price),
+  };
+}
+
+// Solved once per season until the next admin sync; the TTL covers syncs by the Python worker.
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+export function clearPerfectTeamCache(seasonYear) {
+  cache.delete(seasonYear);
+}
+
+export async function perfectTeam(seasonYear) {
+  const hit = cache.get(seasonYear);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.value;
+
+  const config = await getSeasonConfig(seasonYear);
+  const priced = await fetchAll("rider_id", () =>
+    supabase
+      .from("rider_prices")
+      .select("rider_id, price, riders!inner(rider_name)")
+      .eq("season_year", seasonYear)
+  );
+  const points = await fetchAll("rider_id", () =>
+    supabase.from("rider_points").select("rider_id, points").eq("season_year", seasonYear)
+  );
+  const pointsById = new Map(points.map((p) => [p.rider_id, p.points ?? 0]));
+
+  const best = bestTeam(
+    priced.map((p) => ({
+      id: p.rider_id,
+      rider_name: p.riders.rider_name,
+      price: p.price,
+      points: pointsById.get(p.rider_id) ?? 0,
+    })),
+    config
+  );
+
+  const result = {
+    season: seasonYear,
+    rosterSize: config.rosterSize,
+    budget: config.budget,
+    points: best?.points ?? 0,
+    cost: best?.cost ?? 0,
+    riders: best?.riders ?? [],
+  };
+  cache.set(seasonYear, { at: Date.now(), value: result });
+  return result;
+}
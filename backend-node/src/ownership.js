@@ -0,0 +1,107 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+import { loadRosterStints, stintCovers } from "./transfers.js";
+
+// Riders owned by at most this share of teams count as differentials.
+export const DIFFERENTIAL_MAX_SHARE = 0.1;
+// A rider belongs to the top-10 "core" when at least half of those teams picked them.
+export const CORE_MIN_SHARE = 0.5;
+const TOP_TEAMS = 10;
+const LIST_SIZE = 10;
+
+/**
+ * How many teams of the season own each rider (current rosters).
+ * Returns { teams, byRider: Map riderId -> count, topTeamIds } with topTeamIds the 10 highest scorers.
+ */
+export async function loadOwnership(seasonYear) {
+  const teams = await fetchAll("id", () =>
+    supabase
+      .from("teams")
+      .select("id, points")
+      .eq("season_year", seasonYear)
+      .order("points", { ascending: false })
+  );
+  const teamIds = teams.map((t) => t.id);
+  const roster = teamIds.length
+    ? await fetchAll(["team_id", "slot"], () =>
+        supabase.from("team_riders").select("team_id, rider_id").in("team_id", teamIds)
+      )
+    : [];
+
+  const byRider = new Map();
+  for (const row of roster) {
+    if (!byRider.has(row.rider_id)) byRider.set(row.rider_id, new Set());
+    byRider.get(row.rider_id).add(row.team_id);
+  }
+  return { teams: teamIds.length, byRider, topTeamIds: teamIds.slice(0, TOP_TEAMS) };
+}
+
+/**
+ * Who owned each rider on a race day (transfers applied), so a race shows the teams it actually
+ * scored for. Returns { teams, byRider: Map riderId -> number of teams }.
+ */
+export async function raceDayOwnership(seasonYear, raceDate) {
+  const teams = await fetchAll("id", () => supabase.from("teams").select("id").eq("season_year", seasonYear));
+  const stintsByTeam = await loadRosterStints(teams.map((t) => t.id));
+
+  const byRider = new Map();
+  for (const stints of stintsByTeam.values()) {
+    for (const stint of stints) {
+      if (!stintCovers(stint, raceDate)) continue;
+      byRider.set(stint.riderId, (byRider.get(stint.riderId) ?? 0) + 1);
+    }
+  }
+  return { teams: teams.length, byRider };
+}
+
+export function ownershipShare(count, teams) {
+  return teams ? Math.round((count / teams) * 1000) / 1000 : 0;
+}
+
+// Full ownership report: every owned rider plus the most-owned, differential and top-10 core lists.
+export async function ownershipStats(seasonYear) {
+  const { teams, byRider, topTeamIds } = await loadOwnership(seasonYear);
+  const riderIds = Array.from(byRider.keys());
+
+  const riders = riderIds.length
+    ? await fetchAll("id", () =>
+        supabase
+          .from("riders")
+          .select("id, rider_name, team_name, rider_prices(season_year, price), rider_points(season_year, points)")
+          .in("id", riderIds)
+      )
+    : [];
+
+  const rows = riders
+    .map((r) => {
+      const owners = byRider.get(r.id);
+      return {
+        riderId: r.id,
+        rider_name: r.rider_name,
+        team_name: r.team_name,
+        price: r.rider_prices?.find((p) => p.season_year === seasonYear)?.price ?? null,
+        points: r.rider_points?.find((p) => p.season_year === seasonYear)?.points ?? 0,
+        teams: owners.size,
+        share: ownershipShare(owners.size, teams),
+        topTeams: topTeamIds.filter((id) => owners.has(id)).length,
+      };
+    })
+    .sort((a, b) => b.teams - a.teams || b.points - a.points || a.rider_name.localeCompare(b.rider_name));
+
+  return {
+    season: seasonYear,
+    teams,
+    riders: rows,
+    mostOwned: rows.slice(0, LIST_SIZE),
+    differentials: rows
+      .filter((r) => r.points > 0 && r.share <= DIFFERENTIAL_MAX_SHARE)
+      .sort((a, b) => b.points - a.points)
+      .slice(0, LIST_SIZE),
+    topCore: {
+      teams: topTeamIds.length,
+      riders: rows
+        .filter((r) => topTeamIds.length && r.topTeams / topTeamIds.length >= CORE_MIN_SHARE)
+        .sort((a, b) => b.topTeams - a.topTeams || b.points - a.points),
+    },
+  };
+}
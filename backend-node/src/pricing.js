@@ -0,0 +1,134 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+import { supabase } from "./supabase.js";
+import { PAGE_SIZE, fetchAll } from "./utils.js";
+
+/**
+ * Price formula for season N:
+ *   score = sum(weights[i] * points of season N-1-i)   (rider_points; race_results when a season has no totals)
+ *   price = clamp(round(score * multiplier / rounding) * rounding, floor, cap)
+ * Riders without points in any of those seasons get newRiderPrice. The defaults price a rider at
+ * last season's points, in steps of 25 between 25 and 4000.
+ */
+export const pricingSchema = z
+  .object({
+    weights: z.array(z.number().min(0)).min(1).max(5).default([1]),
+    multiplier: z.number().positive().default(1),
+    floor: z.number().int().min(0).default(25),
+    cap: z.number().int().min(1).default(4000),
+    rounding: z.number().int().min(1).default(25),
+    newRiderPrice: z.number().int().min(0).default(25),
+    includeInactive: z.boolean().default(false),
+  })
+  .strict()
+  .refine((f) => f.cap >= f.floor, { message: "cap must be >= floor" });
+
+export function priceFor(score, formula) {
+  const rounded = Math.round((score * formula.multiplier) / formula.rounding) * formula.rounding;
+  return Math.min(formula.cap, Math.max(formula.floor, rounded));
+}
+
+// Points per rider for one season: rider_points, or the sum of race_results if never recomputed.
+async function seasonPoints(seasonYear) {
+  const totals = await fetchAll("rider_id", () =>
+    supabase.from("rider_points").select("rider_id, points").eq("season_year", seasonYear)
+  );
+  if (totals.length) return new Map(totals.map((r) => [r.rider_id, r.points ?? 0]));
+
+  const { data: races, error } = await supabase
+    .from("races")
+    .select("id")
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`);
+  if (error) throw error;
+  const raceIds = (races ?? []).map((r) => r.id);
+  if (!raceIds.length) return new Map();
+
+  const results = await fetchAll(["race_id", "rider_id"], () =>
+    supabase.from("race_results").select("rider_id, points_awarded").in("race_id", raceIds)
+  );
+  const out = new Map();
+  for (const r of results) out.set(r.rider_id, (out.get(r.rider_id) ?? 0) + (r.points_awarded ?? 0));
+  return out;
+}
+
+// Fingerprint of what a commit would write: the same token from preview and commit means the same prices.
+function proposalToken(seasonYear, riders) {
+  const rows = riders.map((r) => `${r.riderId}:${r.price}:${r.currentPrice ?? ""}`).sort();
+  return crypto.createHash("sha256").update(`${seasonYear}\n${rows.join("\n")}`).digest("hex");
+}
+
+/**
+ * Proposed prices for `seasonYear` (nothing is written). Returns
+ * { season, formula, basisSeasons, token, riders: [{ riderId, rider_name, team_name, basis, score, price, currentPrice, isNew }] }.
+ */
+export async function proposePrices(seasonYear, formula) {
+  const basisSeasons = formula.weights.map((_, idx) => seasonYear - 1 - idx);
+  const pointsBySeason = [];
+  for (const year of basisSeasons) pointsBySeason.push(await seasonPoints(year));
+
+  const riders = await fetchAll("id", () => {
+    let q = supabase.from("riders").select("id, rider_name, team_name, active").order("rider_name");
+    if (!formula.includeInactive) q = q.eq("active", true);
+    return q;
+  });
+  const current = await fetchAll("rider_id", () =>
+    supabase.from("rider_prices").select("rider_id, price").eq("season_year", seasonYear)
+  );
+  const currentById = new Map(current.map((p) => [p.rider_id, p.price]));
+
+  const proposed = riders.map((r) => {
+    const basis = {};
+    let score = 0;
+    let isNew = true;
+    basisSeasons.forEach((year, idx) => {
+      const pts = pointsBySeason[idx].get(r.id);
+      basis[year] = pts ?? null;
+      if (pts !== undefined) isNew = false;
+      score += (pts ?? 0) * formula.weights[idx];
+    });
+    return {
+      riderId: r.id,
+      rider_name: r.rider_name,
+      team_name: r.team_name,
+      basis,
+      score: Math.round(score * 100) / 100,
+      price: isNew ? formula.newRiderPrice : priceFor(score, formula),
+      currentPrice: currentById.get(r.id) ?? null,
+      isNew,
+    };
+  });
+
+  return { season: seasonYear, formula, basisSeasons, token: proposalToken(seasonYear, proposed), riders: proposed };
+}
+
+/**
+ * Why prices of `seasonYear` may not be committed, or null. Repricing a season that has started or
+ * already has teams changes roster costs under existing teams, so it needs an explicit `force`.
+ */
+export async function priceCommitBlocker(config) {
+  if (config.configured && config.status !== "upcoming") {
+    return `Season ${config.seasonYear} is ${config.status}; prices can only be committed while it is upcoming.`;
+  }
+  const { count, error } = await supabase
+    .from("teams")
+    .select("id", { count: "exact", head: true })
+    .eq("season_year", config.seasonYear);
+  if (error) throw error;
+  return count ? `Season ${config.seasonYear} already has ${count} team(s).` : null;
+}
+
+// Write a proposal into rider_prices; existing prices are kept unless overwrite is set.
+export async function commitPrices(proposal, { overwrite }) {
+  const rows = proposal.riders
+    .filter((r) => overwrite || r.currentPrice === null)
+    .map((r) => ({ season_year: proposal.season, rider_id: r.riderId, price: r.price }));
+
+  for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+    const { error } = await supabase
+      .from("rider_prices")
+      .upsert(rows.slice(i, i + PAGE_SIZE), { onConflict: "season_year,rider_id" });
+    if (error) throw error;
+  }
+  return { written: rows.length, skipped: proposal.riders.length - rows.length };
+}
@@ -0,0 +1,94 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+
+// Below this similarity a name is not matched; within AMBIGUOUS_GAP of the runner-up it is ambiguous.
+export const MATCH_MIN = 0.85;
+const AMBIGUOUS_GAP = 0.03;
+const CANDIDATES = 3;
+
+// "POGAČAR Tadej" -> ["pogacar", "tadej"]
+function nameTokens(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Spellings compared for a name: as written and with its words sorted ("Wout van Aert" = "VAN AERT Wout").
+function nameKeys(name) {
+  const tokens = nameTokens(name);
+  return [...new Set([tokens.join(""), [...tokens].sort().join("")])].filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  // Lengths too far apart can't reach MATCH_MIN; skip the distance computation.
+  if (Math.abs(a.length - b.length) > longest * (1 - MATCH_MIN)) return 0;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Matcher over every rider in the database. match({ slug, name }) returns { rider, score, status,
+ * candidates }: status "matched" (pcs slug or a close enough name), "ambiguous" (two riders about as
+ * close) or "unmatched"; candidates are the closest riders for the report.
+ */
+export async function loadRiderMatcher() {
+  const riders = await fetchAll("id", () => supabase.from("riders").select("id, pcs_slug, rider_name, active"));
+  const bySlug = new Map(riders.map((r) => [r.pcs_slug, r]));
+  const indexed = riders.map((r) => ({ rider: r, keys: nameKeys(r.rider_name) }));
+  const exact = new Map();
+  for (const entry of indexed) {
+    for (const key of entry.keys) {
+      if (!exact.has(key)) exact.set(key, []);
+      if (!exact.get(key).includes(entry.rider)) exact.get(key).push(entry.rider);
+    }
+  }
+
+  return function match({ slug, name }) {
+    // PCS slugs are stored as "rider/<name>"; accept them with or without the prefix.
+    const wanted = slug?.trim().toLowerCase().replace(/^\/+/, "");
+    const bySlugRider = wanted ? bySlug.get(wanted) ?? bySlug.get(`rider/${wanted}`) : null;
+    if (bySlugRider) return { rider: bySlugRider, score: 1, status: "matched", candidates: [] };
+
+    const keys = nameKeys(name);
+    const exactHits = [...new Set(keys.flatMap((k) => exact.get(k) ?? []))];
+    if (exactHits.length === 1) return { rider: exactHits[0], score: 1, status: "matched", candidates: [] };
+
+    const scored = indexed
+      .map((entry) => ({
+        rider: entry.rider,
+        score: Math.max(0, ...keys.flatMap((k) => entry.keys.map((rk) => similarity(k, rk)))),
+      }))
+      .filter((s) => s.score > 0)
+      .sort((a, b) => b.score - a.score || Number(b.rider.active) - Number(a.rider.active));
+    const candidates = scored.slice(0, CANDIDATES).map((s) => ({
+      riderId: s.rider.id,
+      rider_name: s.rider.rider_name,
+      score: Math.round(s.score * 100) / 100,
+    }));
+
+    const [best, second] = scored;
+    if (!best || best.score < MATCH_MIN) {
+      return { rider: null, score: best?.score ?? 0, status: "unmatched", candidates };
+    }
+    if (second && best.score - second.score < AMBIGUOUS_GAP) {
+      return { rider: null, score: best.score, status: "ambiguous", candidates };
+    }
+    return { rider: best.rider, score: best.score, status: "matched", candidates };
+  };
+}
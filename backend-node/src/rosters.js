@@ -0,0 +1,106 @@
+import { z } from "zod";
+import { supabase } from "./supabase.js";
+
+async function loadRiders(column, values) {
+  if (!values.length) return [];
+  const { data, error } = await supabase
+    .from("riders")
+    .select("id, rider_name, rider_prices(season_year, price)")
+    .in(column, values);
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Validate a team payload ({ teamName, riders: [{ rider_name, rider_id? }] }) against the season rules:
+ * roster size, unique riders, known riders with a price for the season, and the budget. A rider with a
+ * rider_id is looked up by id (names are not unique), otherwise by name.
+ * Returns { ok: true, teamName, roster, totalCost } or { ok: false, error }; DB errors are thrown.
+ * Used by team creation and editing so both enforce exactly the same rules.
+ */
+export async function validateRoster(body, { seasonYear, rosterSize, budget }) {
+  const schema = z.object({
+    teamName: z.string().min(2).max(80),
+    riders: z
+      .array(z.object({ rider_name: z.string().min(1), rider_id: z.string().uuid().optional() }))
+      .length(rosterSize),
+  });
+  const parsed = schema.safeParse(body);
+  if (!parsed.success) return { ok: false, error: "Invalid request" };
+
+  const picks = parsed.data.riders.map((r) => ({ id: r.rider_id ?? null, name: r.rider_name.trim() }));
+  const keys = picks.map((p) => p.id ?? p.name);
+  if (new Set(keys).size !== keys.length) return { ok: false, error: "Riders must be unique." };
+
+  // Resolve rider ids + prices for season.
+  const ids = picks.filter((p) => p.id).map((p) => p.id);
+  const names = picks.filter((p) => !p.id).map((p) => p.name);
+  const riders = [...(await loadRiders("id", ids)), ...(await loadRiders("rider_name", names))];
+
+  const byId = new Map(riders.map((r) => [r.id, r]));
+  const byName = new Map(riders.map((r) => [r.rider_name, r]));
+  const resolved = picks.map((p) => (p.id ? byId.get(p.id) : byName.get(p.name)));
+  const missing = picks.find((p, idx) => !resolved[idx]);
+  if (missing) return { ok: false, error: `Unknown rider: ${missing.name}` };
+  if (new Set(resolved.map((r) => r.id)).size !== resolved.length) return { ok: false, error: "Riders must be unique." };
+
+  const roster = resolved.map((r, idx) => {
+    const price = Array.isArray(r?.rider_prices)
+      ? r.rider_prices.find((p) => p.season_year === seasonYear)?.price ?? null
+      : null;
+    // Keep this user-friendly; ingestion should guarantee prices exist.
+    return { slot: idx + 1, rider_id: r.id, rider_name: r.rider_name, price };
+  });
+
+  if (roster.some((x) => x.price === null)) {
+    return { ok: false, error: `Missing rider price data for season ${seasonYear}.` };
+  }
+
+  const totalCost = roster.reduce((sum, x) => sum + x.price, 0);
+  if (totalCost > budget) return { ok: false, error: `Budget exceeded by ${totalCost - budget}.` };
+
+  return { ok: true, teamName: parsed.data.teamName.trim(), roster, totalCost };
+}
+
+// Season points of a roster from rider_points (so teams don't show 0 until the next sync).
+export async function rosterPoints(seasonYear, riderIds) {
+  if (riderIds.length === 0) return 0;
+  const { data, error } = await supabase
+    .from("rider_points")
+    .select("rider_id, points")
+    .eq("season_year", seasonYear)
+    .in("rider_id", riderIds);
+  if (error) throw error;
+  return (data ?? []).reduce((sum, r) => sum + (r.points ?? 0), 0);
+}
+
+/**
+ * Create a team from a validated roster (see validateRoster) with its riders and current season
+ * points. Returns the team row with those points; DB errors are thrown.
+ */
+export async function insertTeam(userId, seasonYear, { teamName, roster, totalCost }) {
+  // Editable until the season's lock deadline.
+  const { data: team, error } = await supabase
+    .from("teams")
+    .insert({
+      user_id: userId,
+      season_year: seasonYear,
+      team_name: teamName,
+      total_cost: totalCost,
+      points: 0,
+      locked: false,
+    })
+    .select("id, team_name, season_year, total_cost, points, created_at")
+    .single();
+  if (error) throw error;
+
+  const { error: rosterErr } = await supabase
+    .from("team_riders")
+    .insert(roster.map((r) => ({ team_id: team.id, rider_id: r.rider_id, slot: r.slot })));
+  if (rosterErr) throw rosterErr;
+
+  const points = await rosterPoints(seasonYear, roster.map((r) => r.rider_id));
+  // Persist points so leaderboard is correct immediately.
+  await supabase.from("teams").update({ points }).eq("id", team.id);
+  return { ...team, points };
+}
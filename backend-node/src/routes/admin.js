@@ -1,19 +1,540 @@
 import express from "express";
+import { z } from "zod";
+import { raceKey } from "megabike-scoring";
+import { supabase } from "../supabase.js";
 import { adminMiddleware } from "../auth.js";
+import { parseCsv, toCsv } from "../utils.js";
+import { racesFromCsvRows, recomputeSeasonPoints, syncRace, unknownRaces } from "../sync.js";
+import { snapshotSeasonStandings } from "../standings.js";
+import { publishStandings } from "../leaderboardStream.js";
+import { clearPerfectTeamCache } from "../optimizer.js";
+import { commitPrices, priceCommitBlocker, pricingSchema, proposePrices } from "../pricing.js";
+import { teamWarnings } from "../audit.js";
+import { seasonCalendar } from "../calendar.js";
+import { closeSeason } from "../seasonClose.js";
+import { importTeams } from "../teamImport.js";
+import { generateAccessCodes, generateSchema, listAccessCodes, setAccessCodeActive } from "../accessCodes.js";
+import {
+  createWebhook,
+  listDeliveries,
+  listWebhooks,
+  notifyRacesScored,
+  pingWebhook,
+  setWebhookActive,
+  webhookSchema,
+} from "../webhooks.js";
+import {
+  DEFAULT_SEASON_CONFIG,
+  SEASON_STATUSES,
+  currentSeasonYear,
+  getSeasonConfig,
+  seasonConfigResponse,
+} from "../seasons.js";
 
 const router = express.Router();
 
-// Minimal placeholders: the ingestion is run by cron (GitHub Actions) and writes to DB directly.
-// These endpoints are here for future remote-triggering (optional).
+// The cron (GitHub Actions) still runs the Python ingest worker against PCS. These endpoints take
+// already-known results (JSON, or a CSV upload with Content-Type text/csv) so an admin can score
+// or correct races without a Python environment.
+const csvBody = express.text({ type: ["text/csv", "application/csv"], limit: "5mb" });
 
-router.post("/sync/daily", adminMiddleware, async (_req, res) => {
-  return res.status(501).json({ error: "Not implemented. Run the Python ingest worker." });
+const resultSchema = z.object({
+  rank: z.coerce.number().int().min(1),
+  rider_slug: z.string().min(1),
+  rider_name: z.string().min(1).optional(),
 });
 
-router.post("/sync/season/:year", adminMiddleware, async (_req, res) => {
-  return res.status(501).json({ error: "Not implemented. Run the Python ingest worker." });
+const raceSchema = z.object({
+  race: z.string().min(1),
+  name: z.string().min(1).optional(),
+  date: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/)
+    .optional(),
+  results: z.array(resultSchema),
 });
 
-export default router;
+// The ingest worker writes results itself and sends the ids of the races it scored, so webhooks are
+// notified for them too.
+const scoredRaceIdsSchema = z.array(z.string().uuid()).max(500);
+
+function readRaces(req) {
+  if (typeof req.body === "string") return racesFromCsvRows(parseCsv(req.body));
+  return req.body?.races ?? [];
+}
+
+function readScoredRaceIds(req) {
+  return typeof req.body === "string" ? [] : (req.body?.scoredRaceIds ?? []);
+}
+
+// The ids among `raceIds` that belong to races of the season.
+async function seasonRaceIds(seasonYear, raceIds) {
+  if (!raceIds.length) return [];
+  const { data, error } = await supabase
+    .from("races")
+    .select("id")
+    .in("id", raceIds)
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`);
+  if (error) throw error;
+  return (data ?? []).map((r) => r.id);
+}
+
+function parseSeasonYear(value) {
+  const seasonYear = Number(value);
+  return Number.isInteger(seasonYear) && seasonYear >= 2000 ? seasonYear : null;
+}
+
+async function runSync(req, res, seasonYear, { requireRaces }) {
+  const schema = z.array(raceSchema);
+  const parsed = schema.safeParse(readRaces(req));
+  const scoredRaceIds = scoredRaceIdsSchema.safeParse(readScoredRaceIds(req));
+  if (!parsed.success || !scoredRaceIds.success) return res.status(400).json({ error: "Invalid request" });
+  if (requireRaces && parsed.data.length === 0) {
+    return res.status(400).json({ error: "No race results provided." });
+  }
+
+  try {
+    // Only races on this season's calendar can be scored.
+    const config = await getSeasonConfig(seasonYear);
+    if (config.status === "finished") {
+      return res.status(409).json({ error: `Season ${seasonYear} is finished; its scores are frozen.` });
+    }
+    const unknown = unknownRaces(parsed.data, config.races.map((r) => r.key));
+    if (unknown.length) return res.status(400).json({ error: `Unknown race: ${unknown.join(", ")}` });
+    const known = new Set(await seasonRaceIds(seasonYear, scoredRaceIds.data));
+    const unknownIds = scoredRaceIds.data.filter((id) => !known.has(id));
+    if (unknownIds.length) return res.status(400).json({ error: `Unknown race id: ${unknownIds.join(", ")}` });
+
+    const races = [];
+    for (const race of parsed.data) races.push(await syncRace(seasonYear, race));
+    const totals = await recomputeSeasonPoints(seasonYear);
+    const snapshots = await snapshotSeasonStandings(seasonYear);
+    clearPerfectTeamCache(seasonYear);
+    publishStandings(seasonYear).catch((err) => console.error("Standings stream update failed", err));
+    // Deliveries retry for a while; the caller (the ingest worker) doesn't wait for them.
+    const notifyIds = new Set([...races.filter((r) => r.results).map((r) => r.raceId), ...known]);
+    notifyRacesScored([...notifyIds]).catch((err) => console.error("Webhook delivery failed", err));
+    return res.json({ season: seasonYear, races, ...totals, snapshots });
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message });
+    return res.status(500).json({ error: "DB error" });
+  }
+}
+
+// Score one or more races of the current season, then recompute rider and team totals.
+router.post("/sync/daily", adminMiddleware, csvBody, async (req, res) => {
+  let seasonYear;
+  try {
+    seasonYear = await currentSeasonYear();
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  return runSync(req, res, seasonYear, { requireRaces: true });
+});
+
+// Same as daily for a given season; with an empty body it only recomputes the season totals.
+router.post("/sync/season/:year", adminMiddleware, csvBody, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  return runSync(req, res, seasonYear, { requireRaces: false });
+});
+
+// Create or update a season's game rules (opening a new season needs no code change).
+router.put("/seasons/:year/config", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+
+  const schema = z
+    .object({
+      status: z.enum(SEASON_STATUSES).optional(),
+      rosterSize: z.number().int().min(1).max(30).optional(),
+      budget: z.number().int().min(0).optional(),
+      lockAt: z.string().datetime({ offset: true }).nullable().optional(),
+      races: z.array(z.string().min(1)).nullable().optional(),
+    })
+    .strict();
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  const unknown = unknownRaces((parsed.data.races ?? []).map((race) => ({ race })));
+  if (unknown.length) return res.status(400).json({ error: `Unknown race: ${unknown.join(", ")}` });
+
+  const { data: row, error: rowErr } = await supabase
+    .from("season_configs")
+    .select("status, roster_size, budget, lock_at, races")
+    .eq("season_year", seasonYear)
+    .maybeSingle();
+  if (rowErr) return res.status(500).json({ error: "DB error" });
+
+  // Upsert needs the full row: patch the stored config (new seasons start as "upcoming").
+  const base = { ...DEFAULT_SEASON_CONFIG, status: "upcoming", ...(row ?? {}) };
+  const patch = parsed.data;
+  const { error } = await supabase.from("season_configs").upsert(
+    {
+      season_year: seasonYear,
+      status: patch.status ?? base.status,
+      roster_size: patch.rosterSize ?? base.roster_size,
+      budget: patch.budget ?? base.budget,
+      lock_at: patch.lockAt !== undefined ? patch.lockAt : base.lock_at,
+      races: patch.races === undefined ? base.races : patch.races && patch.races.map(raceKey),
+    },
+    { onConflict: "season_year" }
+  );
+  if (error) return res.status(500).json({ error: "DB error" });
+
+  clearPerfectTeamCache(seasonYear);
+  try {
+    return res.json(seasonConfigResponse(await getSeasonConfig(seasonYear)));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Admin console: the season's config and status plus the scoring state of each calendar race.
+router.get("/seasons/:year/races", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  try {
+    const config = await getSeasonConfig(seasonYear);
+    return res.json({ season: seasonConfigResponse(config), races: await seasonCalendar(config) });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Admin console: every team of the season with validation warnings (empty when the team is fine).
+router.get("/seasons/:year/teams", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  try {
+    const config = await getSeasonConfig(seasonYear);
+    return res.json({ season: seasonYear, teams: await teamWarnings(config) });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Import teams from a sign-up CSV (Content-Type text/csv, format of references/teams_cleaned_mapped.csv).
+// Dry run by default: a per-row report of rider matches and roster checks. `?commit=true` also creates
+// the users, access codes and teams, but only when every team is valid.
+router.post("/seasons/:year/teams/import", adminMiddleware, csvBody, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  if (typeof req.body !== "string") return res.status(400).json({ error: "Invalid request" });
+  const commit = req.query.commit === "true";
+
+  let report;
+  try {
+    report = await importTeams(seasonYear, parseCsv(req.body), { commit });
+  } catch (err) {
+    if (err?.status === 400 || err?.status === 409) return res.status(err.status).json({ error: err.message });
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  if (commit && !report.committed) {
+    return res.status(400).json({ error: "Some teams are invalid; nothing was imported.", ...report });
+  }
+  if (report.committed) {
+    publishStandings(seasonYear).catch((err) => console.error("Standings stream update failed", err));
+    return res.status(201).json(report);
+  }
+  return res.json(report);
+});
+
+// Close a season (final standings, podium into `seasons`, status finished). `{ "dryRun": true }`
+// returns the standings and podium without writing anything.
+router.post("/seasons/:year/close", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  const parsed = z.object({ dryRun: z.boolean().default(false) }).strict().safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  try {
+    return res.json(await closeSeason(seasonYear, parsed.data));
+  } catch (err) {
+    if (err?.status === 409) return res.status(409).json({ error: err.message });
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Transfer windows of a season, with how many transfers were made in each.
+router.get("/seasons/:year/transfer-windows", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+
+  const { data: windows, error } = await supabase
+    .from("transfer_windows")
+    .select("id, name, opens_at, closes_at, max_transfers, team_transfers(count)")
+    .eq("season_year", seasonYear)
+    .order("opens_at", { ascending: true });
+  if (error) return res.status(500).json({ error: "DB error" });
+
+  return res.json({
+    season: seasonYear,
+    windows: (windows ?? []).map((w) => ({
+      id: w.id,
+      name: w.name,
+      opensAt: w.opens_at,
+      closesAt: w.closes_at,
+      maxTransfers: w.max_transfers,
+      transfers: w.team_transfers?.[0]?.count ?? 0,
+    })),
+  });
+});
+
+// Open a transfer window, e.g. { "name": "After Milano-Sanremo", "opensAt": ..., "closesAt": ..., "maxTransfers": 2 }.
+router.post("/seasons/:year/transfer-windows", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
 
+  const schema = z
+    .object({
+      name: z.string().min(1).max(80),
+      opensAt: z.string().datetime({ offset: true }),
+      closesAt: z.string().datetime({ offset: true }),
+      maxTransfers: z.number().int().min(1).max(30),
+    })
+    .strict()
+    .refine((w) => new Date(w.closesAt) > new Date(w.opensAt));
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
 
+  // Windows may not overlap: "the open window" must be unambiguous.
+  const { data: overlap, error: overlapErr } = await supabase
+    .from("transfer_windows")
+    .select("id")
+    .eq("season_year", seasonYear)
+    .lt("opens_at", parsed.data.closesAt)
+    .gt("closes_at", parsed.data.opensAt)
+    .limit(1);
+  if (overlapErr) return res.status(500).json({ error: "DB error" });
+  if (overlap?.length) return res.status(409).json({ error: "Overlaps another transfer window." });
+
+  const { data: created, error } = await supabase
+    .from("transfer_windows")
+    .insert({
+      season_year: seasonYear,
+      name: parsed.data.name,
+      opens_at: parsed.data.opensAt,
+      closes_at: parsed.data.closesAt,
+      max_transfers: parsed.data.maxTransfers,
+    })
+    .select("id, name, opens_at, closes_at, max_transfers")
+    .single();
+  if (error) return res.status(500).json({ error: "DB error" });
+
+  return res.status(201).json({
+    id: created.id,
+    name: created.name,
+    opensAt: created.opens_at,
+    closesAt: created.closes_at,
+    maxTransfers: created.max_transfers,
+  });
+});
+
+const priceColumns = [
+  { key: "riderId", header: "rider_id" },
+  { key: "rider_name" },
+  { key: "team_name" },
+  { key: "score" },
+  { key: "price" },
+  { key: "currentPrice", header: "current_price" },
+  { key: "isNew", header: "new_rider" },
+];
+
+// Proposed prices for a season from earlier seasons' points (nothing is written).
+// JSON by default; `?format=csv` returns the same table as a CSV download.
+router.post("/prices/:year/preview", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  const parsed = pricingSchema.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  let proposal;
+  try {
+    proposal = await proposePrices(seasonYear, parsed.data);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  if (req.query.format === "csv") {
+    const basisColumns = proposal.basisSeasons.map((year) => ({ key: `points_${year}` }));
+    const rows = proposal.riders.map((r) => {
+      const row = { ...r };
+      for (const year of proposal.basisSeasons) row[`points_${year}`] = r.basis[year];
+      return row;
+    });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="prices-${seasonYear}.csv"`);
+    res.set("X-Price-Token", proposal.token);
+    return res.send(toCsv(rows, [...priceColumns.slice(0, 3), ...basisColumns, ...priceColumns.slice(3)]));
+  }
+  return res.json(proposal);
+});
+
+// Recompute the proposal with the same formula and write it into rider_prices, provided it still matches
+// the previewed `token`. Seasons that are under way or already have teams need `force`.
+router.post("/prices/:year/commit", adminMiddleware, async (req, res) => {
+  const seasonYear = parseSeasonYear(req.params.year);
+  if (!seasonYear) return res.status(400).json({ error: "Invalid season" });
+  const { overwrite = false, force = false, token, ...formula } = req.body ?? {};
+  if (typeof overwrite !== "boolean" || typeof force !== "boolean" || typeof token !== "string") {
+    return res.status(400).json({ error: "Invalid request" });
+  }
+  const parsed = pricingSchema.safeParse(formula);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  try {
+    if (!force) {
+      const blocker = await priceCommitBlocker(await getSeasonConfig(seasonYear));
+      if (blocker) return res.status(409).json({ error: `${blocker} Send "force": true to reprice anyway.` });
+    }
+    const proposal = await proposePrices(seasonYear, parsed.data);
+    if (proposal.token !== token) {
+      return res.status(409).json({ error: "Prices changed since the preview; preview again." });
+    }
+    const totals = await commitPrices(proposal, { overwrite });
+    clearPerfectTeamCache(seasonYear);
+    return res.json({ season: seasonYear, ...totals });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+const accessCodeColumns = [
+  { key: "code" },
+  { key: "isActive", header: "active" },
+  { key: "displayName", header: "user" },
+  { key: "lastLoginAt", header: "last_login_at" },
+  { key: "createdAt", header: "created_at" },
+];
+
+// Access codes with their user and last login. Filters: ?active=true|false, ?prefix=MB-.
+// `?format=csv` returns the list as a CSV download for handing codes out.
+router.get("/access-codes", adminMiddleware, async (req, res) => {
+  const schema = z.object({
+    active: z.enum(["true", "false"]).optional(),
+    prefix: z.string().max(40).optional(),
+    format: z.enum(["json", "csv"]).default("json"),
+  });
+  const parsed = schema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  let codes;
+  try {
+    codes = await listAccessCodes({
+      active: parsed.data.active === undefined ? undefined : parsed.data.active === "true",
+      prefix: parsed.data.prefix,
+    });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  if (parsed.data.format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="access-codes.csv"');
+    const rows = codes.map((c) => ({ ...c, displayName: c.user?.displayName ?? "" }));
+    return res.send(toCsv(rows, accessCodeColumns));
+  }
+  return res.json({ total: codes.length, codes });
+});
+
+// Bulk generate, e.g. { "count": 20, "prefix": "MB26-", "length": 8 } or { "count": 20, "pattern": "MB-####-####" }.
+router.post("/access-codes", adminMiddleware, async (req, res) => {
+  const parsed = generateSchema.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  try {
+    const codes = await generateAccessCodes(parsed.data);
+    return res.status(201).json({ total: codes.length, codes });
+  } catch (e) {
+    if (e?.message === "Could not generate enough unique codes") return res.status(409).json({ error: e.message });
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+function setActive(isActive) {
+  return async (req, res) => {
+    if (!z.string().uuid().safeParse(req.params.id).success) return res.status(400).json({ error: "Invalid request" });
+    try {
+      const code = await setAccessCodeActive(req.params.id, isActive);
+      if (!code) return res.status(404).json({ error: "Access code not found" });
+      return res.json(code);
+    } catch {
+      return res.status(500).json({ error: "DB error" });
+    }
+  };
+}
+
+// Deactivated codes can no longer log in; tokens issued earlier stay valid until they expire.
+router.post("/access-codes/:id/deactivate", adminMiddleware, setActive(false));
+router.post("/access-codes/:id/reactivate", adminMiddleware, setActive(true));
+
+// Outgoing webhooks, notified with a signed `race.scored` event after each sync that scores a race.
+router.get("/webhooks", adminMiddleware, async (_req, res) => {
+  try {
+    return res.json({ webhooks: await listWebhooks() });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// { "url": "https://bot.example/hook", "description": "Group chat" }; the response holds the signing secret.
+router.post("/webhooks", adminMiddleware, async (req, res) => {
+  const parsed = webhookSchema.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  try {
+    return res.status(201).json(await createWebhook(parsed.data));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+function setWebhookActiveHandler(isActive) {
+  return async (req, res) => {
+    if (!z.string().uuid().safeParse(req.params.id).success) return res.status(400).json({ error: "Invalid request" });
+    try {
+      const webhook = await setWebhookActive(req.params.id, isActive);
+      if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+      return res.json(webhook);
+    } catch {
+      return res.status(500).json({ error: "DB error" });
+    }
+  };
+}
+
+router.post("/webhooks/:id/deactivate", adminMiddleware, setWebhookActiveHandler(false));
+router.post("/webhooks/:id/reactivate", adminMiddleware, setWebhookActiveHandler(true));
+
+// Sends a `ping` right away (one attempt) and returns its delivery.
+router.post("/webhooks/:id/test", adminMiddleware, async (req, res) => {
+  if (!z.string().uuid().safeParse(req.params.id).success) return res.status(400).json({ error: "Invalid request" });
+  try {
+    const delivery = await pingWebhook(req.params.id);
+    if (!delivery) return res.status(404).json({ error: "Webhook not found" });
+    return res.json(delivery);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Delivery log, newest first. Filters: ?webhookId=, ?status=pending|delivered|failed, ?limit= (max 200).
+router.get("/webhooks/deliveries", adminMiddleware, async (req, res) => {
+  const schema = z.object({
+    webhookId: z.string().uuid().optional(),
+    status: z.enum(["pending", "delivered", "failed"]).optional(),
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+  });
+  const parsed = schema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  try {
+    return res.json({ deliveries: await listDeliveries(parsed.data) });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+export default router;
@@ -14,7 +14,7 @@ router.post("/verify-code", async (req, res) => {
 
   const { data: codeRow, error: codeErr } = await supabase
     .from("access_codes")
-    .select("id, code, is_active")
+    .select("id, code, is_active, assigned_user_id")
     .eq("code", accessCode)
     .maybeSingle();
 
@@ -43,6 +43,22 @@ router.post("/verify-code", async (req, res) => {
     user = created;
   }
 
+  // Keep the admin view of codes current: which user a code belongs to and when it was last used.
+  // Bookkeeping only: a failure is logged and never blocks the login.
+  const { error: loginErr } = await supabase
+    .from("users")
+    .update({ last_login_at: new Date().toISOString() })
+    .eq("id", user.id);
+  if (loginErr) console.error("Recording last login failed", loginErr);
+
+  if (codeRow.assigned_user_id !== user.id) {
+    const { error: assignErr } = await supabase
+      .from("access_codes")
+      .update({ assigned_user_id: user.id })
+      .eq("id", codeRow.id);
+    if (assignErr) console.error("Assigning access code failed", assignErr);
+  }
+
   const token = signUserToken(user.id);
   return res.json({
     token,
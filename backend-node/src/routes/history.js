@@ -3,35 +3,52 @@ import { supabase } from "../supabase.js";
 
 const router = express.Router();
 
+const PLACES = ["winner", "second", "third"];
+
 router.get("/", async (req, res) => {
   const { data: podium, error } = await supabase
     .from("seasons")
-    .select("season_year, winner, second, third")
+    .select(
+      "season_year, winner, second, third, winner_user_id, second_user_id, third_user_id, winner_team_id, second_team_id, third_team_id"
+    )
     .order("season_year", { ascending: false });
 
   if (error) return res.status(500).json({ error: "DB error" });
 
-  // mostTitles: computed client-side previously; provide a simple count-based list here
+  // Linked entries show the player's current display name, so renames don't split their history.
+  const userIds = Array.from(
+    new Set((podium ?? []).flatMap((r) => PLACES.map((p) => r[`${p}_user_id`])).filter(Boolean))
+  );
+  const { data: users, error: usersErr } = userIds.length
+    ? await supabase.from("users").select("id, display_name").in("id", userIds)
+    : { data: [], error: null };
+  if (usersErr) return res.status(500).json({ error: "DB error" });
+  const nameById = new Map((users ?? []).map((u) => [u.id, u.display_name]));
+
+  const rows = (podium ?? []).map((r) => {
+    const out = { year: r.season_year };
+    for (const place of PLACES) {
+      const userId = r[`${place}_user_id`] ?? null;
+      out[place] = (userId && nameById.get(userId)) || r[place];
+      out[`${place}UserId`] = userId;
+      out[`${place}TeamId`] = r[`${place}_team_id`] ?? null;
+    }
+    return out;
+  });
+
+  // Titles per player: by user id when linked, by the recorded name otherwise.
   const counts = new Map();
-  for (const row of podium ?? []) {
-    counts.set(row.winner, (counts.get(row.winner) ?? 0) + 1);
+  for (const row of rows) {
+    const key = row.winnerUserId ?? `name:${row.winner}`;
+    const entry = counts.get(key) ?? { name: row.winner, userId: row.winnerUserId, titles: 0 };
+    entry.titles += 1;
+    counts.set(key, entry);
   }
-  const mostTitles = Array.from(counts.entries())
-    .map(([name, titles]) => ({ name, titles }))
-    .sort((a, b) => b.titles - a.titles)
+  const mostTitles = Array.from(counts.values())
+    .sort((a, b) => b.titles - a.titles || a.name.localeCompare(b.name))
     .slice(0, 10);
 
-  return res.json({
-    podium: (podium ?? []).map((r) => ({
-      year: r.season_year,
-      winner: r.winner,
-      second: r.second,
-      third: r.third,
-    })),
-    mostTitles,
-  });
+  return res.json({ podium: rows, mostTitles });
 });
 
 export default router;
-
-
@@ -1,31 +1,62 @@
 import express from "express";
-import { supabase } from "../supabase.js";
-import { nowSeasonYear } from "../utils.js";
+import { z } from "zod";
+import { currentStandings, standingsAfterRace } from "../standings.js";
+import { subscribeStandings } from "../leaderboardStream.js";
+import { seasonMiddleware } from "../seasons.js";
+import { seasonSheet } from "../seasonExport.js";
+import { toCsv } from "../utils.js";
+import { toXlsx } from "../xlsx.js";
 
 const router = express.Router();
 
-router.get("/current", async (req, res) => {
-  const seasonYear = nowSeasonYear();
-
-  const { data, error } = await supabase
-    .from("teams")
-    .select("id, team_name, points, users(display_name)")
-    .eq("season_year", seasonYear)
-    .order("points", { ascending: false })
-    .limit(200);
-
-  if (error) return res.status(500).json({ error: "DB error" });
-
-  return res.json({
-    teams: (data ?? []).map((t) => ({
-      id: t.id,
-      teamName: t.team_name,
-      points: t.points ?? 0,
-      ownerName: t.users?.display_name,
-    })),
-  });
+router.get("/current", seasonMiddleware, async (req, res) => {
+  try {
+    return res.json({ teams: await currentStandings(req.seasonYear) });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
 });
 
-export default router;
+// Server-Sent Events: `standings` events with the same body as /current, on connect and on every change.
+router.get("/stream", seasonMiddleware, async (req, res) => {
+  try {
+    await subscribeStandings(req.seasonYear, res);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Season standings and rosters in the league spreadsheet layout, as a download: ?format=csv|xlsx.
+router.get("/export", seasonMiddleware, async (req, res) => {
+  const format = z.enum(["csv", "xlsx"]).default("csv").safeParse(req.query.format);
+  if (!format.success) return res.status(400).json({ error: "Invalid request" });
+
+  let sheet;
+  try {
+    sheet = await seasonSheet(req.seasonYear);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  const filename = `megabike-${sheet.season}.${format.data}`;
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format.data === "xlsx") {
+    res.set("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    return res.send(toXlsx(sheet.rows, sheet.columns, { sheetName: `Megabike ${sheet.season}` }));
+  }
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  return res.send(toCsv(sheet.rows, sheet.columns));
+});
 
+// Standings as they were right after a given race (from the stored snapshot).
+router.get("/races/:raceId", async (req, res) => {
+  try {
+    const standings = await standingsAfterRace(req.params.raceId);
+    if (!standings) return res.status(404).json({ error: "No standings snapshot for this race" });
+    return res.json(standings);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
 
+export default router;
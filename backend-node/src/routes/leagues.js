@@ -0,0 +1,174 @@
+import express from "express";
+import { z } from "zod";
+import { supabase } from "../supabase.js";
+import { authMiddleware } from "../auth.js";
+import { randomCode } from "../utils.js";
+import { loadRankMovement } from "../standings.js";
+import { seasonMiddleware } from "../seasons.js";
+
+const router = express.Router();
+
+const UNIQUE_VIOLATION = "23505";
+
+function toLeague(row, userId, memberCount) {
+  return {
+    id: row.id,
+    name: row.name,
+    code: row.code,
+    isOwner: row.owner_user_id === userId,
+    memberCount: memberCount ?? 0,
+    createdAt: row.created_at,
+  };
+}
+
+// My leagues (with their codes, so members can invite others)
+router.get("/", authMiddleware, async (req, res) => {
+  const { data: memberships, error: memberErr } = await supabase
+    .from("league_members")
+    .select("league_id")
+    .eq("user_id", req.userId);
+  if (memberErr) return res.status(500).json({ error: "DB error" });
+
+  const leagueIds = (memberships ?? []).map((m) => m.league_id);
+  if (leagueIds.length === 0) return res.json({ leagues: [] });
+
+  const { data: leagues, error: leaguesErr } = await supabase
+    .from("leagues")
+    .select("id, name, code, owner_user_id, created_at")
+    .in("id", leagueIds)
+    .order("name", { ascending: true });
+  if (leaguesErr) return res.status(500).json({ error: "DB error" });
+
+  const { data: members, error: countErr } = await supabase
+    .from("league_members")
+    .select("league_id")
+    .in("league_id", leagueIds);
+  if (countErr) return res.status(500).json({ error: "DB error" });
+
+  const counts = new Map();
+  for (const m of members ?? []) counts.set(m.league_id, (counts.get(m.league_id) ?? 0) + 1);
+
+  return res.json({
+    leagues: (leagues ?? []).map((l) => toLeague(l, req.userId, counts.get(l.id))),
+  });
+});
+
+router.post("/", authMiddleware, async (req, res) => {
+  const schema = z.object({ name: z.string().trim().min(2).max(80) });
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  // Retry a few times on the (unlikely) code collision.
+  let league = null;
+  for (let attempt = 0; attempt < 5 && !league; attempt++) {
+    const { data, error } = await supabase
+      .from("leagues")
+      .insert({ name: parsed.data.name, code: `LG-${randomCode(6)}`, owner_user_id: req.userId })
+      .select("id, name, code, owner_user_id, created_at")
+      .single();
+    if (error && error.code !== UNIQUE_VIOLATION) return res.status(500).json({ error: "DB error" });
+    league = data;
+  }
+  if (!league) return res.status(500).json({ error: "Could not generate a league code" });
+
+  const { error: joinErr } = await supabase
+    .from("league_members")
+    .insert({ league_id: league.id, user_id: req.userId });
+  if (joinErr) return res.status(500).json({ error: "DB error" });
+
+  return res.status(201).json(toLeague(league, req.userId, 1));
+});
+
+router.post("/join", authMiddleware, async (req, res) => {
+  const schema = z.object({ code: z.string().trim().min(1) });
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+
+  const { data: league, error: leagueErr } = await supabase
+    .from("leagues")
+    .select("id, name, code, owner_user_id, created_at")
+    .eq("code", parsed.data.code.toUpperCase())
+    .maybeSingle();
+  if (leagueErr) return res.status(500).json({ error: "DB error" });
+  if (!league) return res.status(404).json({ error: "Invalid league code" });
+
+  // Joining twice is a no-op.
+  const { error: joinErr } = await supabase
+    .from("league_members")
+    .upsert(
+      { league_id: league.id, user_id: req.userId },
+      { onConflict: "league_id,user_id", ignoreDuplicates: true }
+    );
+  if (joinErr) return res.status(500).json({ error: "DB error" });
+
+  const { count, error: countErr } = await supabase
+    .from("league_members")
+    .select("user_id", { count: "exact", head: true })
+    .eq("league_id", league.id);
+  if (countErr) return res.status(500).json({ error: "DB error" });
+
+  return res.json(toLeague(league, req.userId, count));
+});
+
+router.delete("/:leagueId/members/me", authMiddleware, async (req, res) => {
+  if (!z.string().uuid().safeParse(req.params.leagueId).success) return res.status(400).json({ error: "Invalid request" });
+  const { error } = await supabase
+    .from("league_members")
+    .delete()
+    .eq("league_id", req.params.leagueId)
+    .eq("user_id", req.userId);
+  if (error) return res.status(500).json({ error: "DB error" });
+  return res.status(204).end();
+});
+
+// Same shape as /api/leaderboard/current, restricted to the league's members.
+router.get("/:leagueId/leaderboard", authMiddleware, seasonMiddleware, async (req, res) => {
+  if (!z.string().uuid().safeParse(req.params.leagueId).success) return res.status(400).json({ error: "Invalid request" });
+  const seasonYear = req.seasonYear;
+
+  const { data: league, error: leagueErr } = await supabase
+    .from("leagues")
+    .select("id, name, code")
+    .eq("id", req.params.leagueId)
+    .maybeSingle();
+  if (leagueErr) return res.status(500).json({ error: "DB error" });
+  if (!league) return res.status(404).json({ error: "League not found" });
+
+  const { data: members, error: membersErr } = await supabase
+    .from("league_members")
+    .select("user_id")
+    .eq("league_id", league.id);
+  if (membersErr) return res.status(500).json({ error: "DB error" });
+
+  const userIds = (members ?? []).map((m) => m.user_id);
+  if (!userIds.includes(req.userId)) return res.status(403).json({ error: "Not a member of this league" });
+
+  const { data, error } = await supabase
+    .from("teams")
+    .select("id, team_name, points, users(display_name)")
+    .eq("season_year", seasonYear)
+    .in("user_id", userIds)
+    .order("points", { ascending: false });
+  if (error) return res.status(500).json({ error: "DB error" });
+
+  // Movement is ranked among the league's teams, not globally.
+  let moves;
+  try {
+    moves = await loadRankMovement(seasonYear, (data ?? []).map((t) => t.id));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  return res.json({
+    league: { id: league.id, name: league.name, code: league.code },
+    teams: (data ?? []).map((t) => ({
+      id: t.id,
+      teamName: t.team_name,
+      points: t.points ?? 0,
+      ownerName: t.users?.display_name,
+      rankChange: moves.get(t.id)?.rankChange ?? null,
+    })),
+  });
+});
+
+export default router;
@@ -1,25 +1,42 @@
 import express from "express";
+import { z } from "zod";
 import { supabase } from "../supabase.js";
-import { nowSeasonYear } from "../utils.js";
+import { compareTeams } from "../compare.js";
+import { loadRosterStints, loadTeamScore, stintCovers } from "../transfers.js";
 
 const router = express.Router();
 
+// Public: two teams of the same season head to head (shared/unique riders, per-race points from unique riders).
+router.get("/compare/:teamA/:teamB", async (req, res) => {
+    const ids = z.string().uuid().array().safeParse([req.params.teamA, req.params.teamB]);
+    if (!ids.success) return res.status(400).json({ error: "Invalid request" });
+
+    try {
+        const comparison = await compareTeams(...ids.data);
+        if (!comparison) return res.status(404).json({ error: "Team not found" });
+        return res.json(comparison);
+    } catch (err) {
+        if (err.status === 400) return res.status(400).json({ error: err.message });
+        return res.status(500).json({ error: "DB error" });
+    }
+});
+
 // Public: view a team by id (used for "view other teams" from leaderboard)
 router.get("/:teamId", async (req, res) => {
     const teamId = String(req.params.teamId || "").trim();
     if (!teamId) return res.status(400).json({ error: "Missing team id" });
 
-    const seasonYear = Number(req.query.season) || nowSeasonYear();
-
     const { data: team, error: teamErr } = await supabase
         .from("teams")
-        .select("id, team_name, season_year, total_cost, points, created_at")
+        .select("id, team_name, season_year, total_cost, points, final_rank, created_at")
         .eq("id", teamId)
         .maybeSingle();
 
     if (teamErr) return res.status(500).json({ error: "DB error" });
     if (!team) return res.status(404).json({ error: "Team not found" });
 
+    const seasonYear = Number(req.query.season) || team.season_year;
+
     // Load roster + prices + points (for requested season)
     const { data: roster, error: rosterErr } = await supabase
         .from("team_riders")
@@ -42,7 +59,16 @@ router.get("/:teamId", async (req, res) => {
         return { rider_name: r.rider_name, price, points, slot: row.slot };
     });
 
-    const computedTeamPoints = riders.reduce((sum, r) => sum + (r.points ?? 0), 0);
+    // After transfers a rider's season total is not what it earned for this team.
+    let score;
+    try {
+        score = await loadTeamScore(team.id, seasonYear);
+    } catch {
+        return res.status(500).json({ error: "DB error" });
+    }
+    for (const r of riders) {
+        r.points = score.stints.find((s) => s.slot === r.slot && !s.to)?.points ?? r.points;
+    }
 
     return res.json({
         id: team.id,
@@ -50,8 +76,102 @@ router.get("/:teamId", async (req, res) => {
         season: team.season_year,
         riders,
         totalPrice: team.total_cost,
-        points: computedTeamPoints,
+        points: score.total,
         createdAt: team.created_at,
+        finalRank: team.final_rank,
+    });
+});
+
+// Public: rider x race matrix of points_awarded for a team's season (races run so far).
+router.get("/:teamId/breakdown", async (req, res) => {
+    const teamId = String(req.params.teamId || "").trim();
+    if (!teamId) return res.status(400).json({ error: "Missing team id" });
+
+    const { data: team, error: teamErr } = await supabase
+        .from("teams")
+        .select("id, team_name, season_year")
+        .eq("id", teamId)
+        .maybeSingle();
+
+    if (teamErr) return res.status(500).json({ error: "DB error" });
+    if (!team) return res.status(404).json({ error: "Team not found" });
+
+    let stints;
+    try {
+        stints = (await loadRosterStints([team.id])).get(team.id);
+    } catch {
+        return res.status(500).json({ error: "DB error" });
+    }
+
+    const riderIds = [...new Set(stints.map((s) => s.riderId))];
+    let names = [];
+    if (riderIds.length) {
+        const { data, error } = await supabase.from("riders").select("id, rider_name").in("id", riderIds);
+        if (error) return res.status(500).json({ error: "DB error" });
+        names = data ?? [];
+    }
+    const nameById = new Map(names.map((r) => [r.id, r.rider_name]));
+
+    const today = new Date().toISOString().slice(0, 10);
+    const { data: races, error: racesErr } = await supabase
+        .from("races")
+        .select("id, name, race_date")
+        .gte("race_date", `${team.season_year}-01-01`)
+        .lte("race_date", `${team.season_year}-12-31`)
+        .lte("race_date", today)
+        .order("race_date", { ascending: true });
+
+    if (racesErr) return res.status(500).json({ error: "DB error" });
+
+    const raceIds = (races ?? []).map((r) => r.id);
+    let results = [];
+    if (raceIds.length && riderIds.length) {
+        const { data, error } = await supabase
+            .from("race_results")
+            .select("race_id, rider_id, rank, points_awarded")
+            .in("race_id", raceIds)
+            .in("rider_id", riderIds);
+        if (error) return res.status(500).json({ error: "DB error" });
+        results = data ?? [];
+    }
+
+    const byCell = new Map(results.map((r) => [`${r.rider_id}:${r.race_id}`, r]));
+    const subtotals = raceIds.map(() => 0);
+
+    // One row per stint: a transferred-out rider keeps the cells of the races ridden for this team.
+    const riders = stints.map((stint) => {
+        const cells = (races ?? []).map((race) => {
+            if (!stintCovers(stint, race.race_date)) return null;
+            const r = byCell.get(`${stint.riderId}:${race.id}`);
+            return r ? { rank: r.rank, points: r.points_awarded ?? 0 } : null;
+        });
+        cells.forEach((c, idx) => {
+            if (c) subtotals[idx] += c.points;
+        });
+        return {
+            riderId: stint.riderId,
+            rider_name: nameById.get(stint.riderId),
+            slot: stint.slot,
+            from: stint.from,
+            to: stint.to,
+            transferredOut: !!stint.to,
+            cells,
+            total: cells.reduce((sum, c) => sum + (c?.points ?? 0), 0),
+        };
+    });
+
+    return res.json({
+        id: team.id,
+        teamName: team.team_name,
+        season: team.season_year,
+        races: (races ?? []).map((r, idx) => ({
+            id: r.id,
+            name: r.name,
+            date: r.race_date,
+            subtotal: subtotals[idx],
+        })),
+        riders,
+        total: subtotals.reduce((sum, p) => sum + p, 0),
     });
 });
 
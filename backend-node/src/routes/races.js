@@ -1,8 +1,42 @@
 import express from "express";
+import { z } from "zod";
+import { raceKey, raceTier } from "megabike-scoring";
 import { supabase } from "../supabase.js";
+import { getSeasonConfig, seasonMiddleware } from "../seasons.js";
+import { raceWinners, seasonCalendar } from "../calendar.js";
+import { loadTeamLabels, raceTeamGains, raceTopScorers, standingsAfterRace } from "../standings.js";
+import { fetchAll } from "../utils.js";
+import { ownershipShare, raceDayOwnership } from "../ownership.js";
 
 const router = express.Router();
 
+// Season calendar (`?season=YYYY`, default current): every Megabike race with tier and status,
+// plus the winner and the fantasy team that scored most once results are in.
+router.get("/", seasonMiddleware, async (req, res) => {
+  try {
+    const config = await getSeasonConfig(req.seasonYear);
+    const races = await seasonCalendar(config);
+    const winners = await raceWinners(races.filter((r) => r.status === "scored").map((r) => r.id));
+    const topScorers = await raceTopScorers(req.seasonYear, races.filter((r) => r.status === "scored"));
+
+    return res.json({
+      season: req.seasonYear,
+      races: races.map((r) => ({
+        id: r.id,
+        key: r.key,
+        name: r.name,
+        date: r.date,
+        tier: r.tier,
+        status: r.status,
+        winner: winners.get(r.id) ?? null,
+        topScorer: topScorers.get(r.id) ?? null,
+      })),
+    });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
 router.get("/latest", async (req, res) => {
   const today = new Date().toISOString().slice(0, 10);
 
@@ -60,6 +94,87 @@ router.get("/next", async (req, res) => {
   });
 });
 
+const TOP_GAINERS = 10;
+
+// Teams that gained most from a race (race-day rosters, as on the calendar). Rank and movement come
+// from the standings snapshot when there is one (null otherwise).
+async function raceTopTeams(race, seasonYear, standings) {
+  const gains = (await raceTeamGains(seasonYear, [{ id: race.id, date: race.race_date }])).get(race.id);
+  const top = Array.from(gains ?? [], ([id, gained]) => ({ id, gained }))
+    .sort((a, b) => b.gained - a.gained || a.id.localeCompare(b.id))
+    .slice(0, TOP_GAINERS);
+
+  const labels = await loadTeamLabels(top.map((t) => t.id));
+  const standingById = new Map((standings?.teams ?? []).map((t) => [t.id, t]));
+  return top.map((t) => {
+    const standing = standingById.get(t.id);
+    return {
+      id: t.id,
+      teamName: labels.get(t.id)?.teamName,
+      ownerName: labels.get(t.id)?.ownerName,
+      gained: t.gained,
+      rank: standing?.rank ?? null,
+      points: standing?.points ?? null,
+      previousRank: standing?.previousRank ?? null,
+      rankChange: standing?.rankChange ?? null,
+    };
+  });
+}
+
+// One race: full results with how many fantasy teams owned each rider that day, and the teams
+// that gained the most from it. Registered after /latest and /next so those stay reachable.
+router.get("/:id", async (req, res) => {
+  if (!z.string().uuid().safeParse(req.params.id).success) return res.status(400).json({ error: "Invalid request" });
+
+  try {
+    const { data: race, error: raceErr } = await supabase
+      .from("races")
+      .select("id, pcs_slug, name, race_date")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (raceErr) throw raceErr;
+    if (!race) return res.status(404).json({ error: "Race not found" });
+
+    const seasonYear = Number(race.race_date.slice(0, 4));
+    const results = await fetchAll("rider_id", () =>
+      supabase
+        .from("race_results")
+        .select("rank, rider_id, points_awarded, riders(rider_name, team_name)")
+        .eq("race_id", race.id)
+        .order("rank", { ascending: true })
+    );
+    const ownership = await raceDayOwnership(seasonYear, race.race_date);
+    const standings = await standingsAfterRace(race.id);
+    const topTeams = await raceTopTeams(race, seasonYear, standings);
+
+    return res.json({
+      id: race.id,
+      key: raceKey(race.pcs_slug),
+      name: race.name,
+      date: race.race_date,
+      season: seasonYear,
+      tier: raceTier(race.pcs_slug),
+      teams: ownership.teams,
+      results: results.map((r) => {
+        const owners = ownership.byRider.get(r.rider_id) ?? 0;
+        return {
+          rank: r.rank,
+          riderId: r.rider_id,
+          rider_name: r.riders?.rider_name ?? null,
+          team_name: r.riders?.team_name ?? null,
+          points: r.points_awarded ?? 0,
+          owners,
+          share: ownershipShare(owners, ownership.teams),
+        };
+      }),
+      // null until the race has results.
+      topTeams: results.length ? topTeams : null,
+    });
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
 export default router;
 
 
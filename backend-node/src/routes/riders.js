@@ -1,14 +1,102 @@
 import express from "express";
+import { z } from "zod";
+import { raceKey, raceTier } from "megabike-scoring";
 import { supabase } from "../supabase.js";
-import { nowSeasonYear } from "../utils.js";
+import { fetchAll } from "../utils.js";
+import { seasonMiddleware } from "../seasons.js";
+import { ownershipShare, ownershipStats } from "../ownership.js";
 
 const router = express.Router();
 
-router.get("/autocomplete", async (req, res) => {
+const CATALOGUE_SORTS = ["price", "points", "value", "name"];
+
+// Catalogue of riders priced for the season. Filtering/sorting happens in memory: the priced pool is
+// a few thousand rows at most and "points per price" can't be sorted by PostgREST.
+router.get("/", seasonMiddleware, async (req, res) => {
+  const schema = z.object({
+    q: z.string().trim().optional(),
+    team: z.string().trim().optional(),
+    nationality: z.string().trim().optional(),
+    minPrice: z.coerce.number().int().min(0).optional(),
+    maxPrice: z.coerce.number().int().min(0).optional(),
+    active: z.enum(["true", "false"]).optional(),
+    sort: z.enum(CATALOGUE_SORTS).default("price"),
+    order: z.enum(["asc", "desc"]).default("desc"),
+    page: z.coerce.number().int().min(1).default(1),
+    pageSize: z.coerce.number().int().min(1).max(100).default(25),
+  });
+  const parsed = schema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
+  const f = parsed.data;
+  const seasonYear = req.seasonYear;
+
+  let priced;
+  let lastPoints;
+  try {
+    priced = await fetchAll("id", () =>
+      supabase
+        .from("riders")
+        .select("id, rider_name, team_name, nationality, active, rider_prices!inner(season_year, price)")
+        .eq("rider_prices.season_year", seasonYear)
+    );
+    lastPoints = await fetchAll("rider_id", () =>
+      supabase.from("rider_points").select("rider_id, points").eq("season_year", seasonYear - 1)
+    );
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  const pointsById = new Map(lastPoints.map((r) => [r.rider_id, r.points ?? 0]));
+  const all = priced.map((r) => {
+    const price = r.rider_prices?.[0]?.price ?? 0;
+    const points = pointsById.get(r.id) ?? 0;
+    return {
+      id: r.id,
+      rider_name: r.rider_name,
+      team_name: r.team_name,
+      nationality: r.nationality,
+      active: r.active,
+      price,
+      lastSeasonPoints: points,
+      pointsPerPrice: price ? Math.round((points / price) * 10000) / 10000 : 0,
+    };
+  });
+
+  const q = f.q?.toLowerCase();
+  const filtered = all.filter(
+    (r) =>
+      (!q || r.rider_name.toLowerCase().includes(q)) &&
+      (!f.team || r.team_name === f.team) &&
+      (!f.nationality || r.nationality === f.nationality) &&
+      (f.minPrice === undefined || r.price >= f.minPrice) &&
+      (f.maxPrice === undefined || r.price <= f.maxPrice) &&
+      (!f.active || r.active === (f.active === "true"))
+  );
+
+  const key = { price: "price", points: "lastSeasonPoints", value: "pointsPerPrice" }[f.sort];
+  const dir = f.order === "asc" ? 1 : -1;
+  filtered.sort((a, b) => {
+    const byName = a.rider_name.localeCompare(b.rider_name);
+    return key ? (a[key] - b[key]) * dir || byName : byName * dir;
+  });
+
+  const distinct = (field) => Array.from(new Set(all.map((r) => r[field]).filter(Boolean))).sort();
+  const start = (f.page - 1) * f.pageSize;
+  return res.json({
+    season: seasonYear,
+    page: f.page,
+    pageSize: f.pageSize,
+    total: filtered.length,
+    riders: filtered.slice(start, start + f.pageSize),
+    filters: { teams: distinct("team_name"), nationalities: distinct("nationality") },
+  });
+});
+
+router.get("/autocomplete", seasonMiddleware, async (req, res) => {
   const qRaw = String(req.query.query ?? "").trim();
   if (qRaw.length < 2) return res.json([]);
 
-  const seasonYear = nowSeasonYear();
+  const seasonYear = req.seasonYear;
 
   // Simple ilike for small scale. (We created a trigram index too for speed later.)
   const { data, error } = await supabase
@@ -21,19 +109,125 @@ router.get("/autocomplete", async (req, res) => {
 
   if (error) return res.status(500).json({ error: "DB error" });
 
+  // Ownership of just these riders: share of this season's teams that picked them.
+  const ids = (data ?? []).map((row) => row.id);
+  const { count: teamCount, error: countErr } = await supabase
+    .from("teams")
+    .select("id", { count: "exact", head: true })
+    .eq("season_year", seasonYear);
+  if (countErr) return res.status(500).json({ error: "DB error" });
+
+  // Paged: popular riders are on more teams than one PostgREST response holds.
+  let owned = [];
+  if (ids.length && teamCount) {
+    try {
+      owned = await fetchAll(["team_id", "slot"], () =>
+        supabase
+          .from("team_riders")
+          .select("rider_id, teams!inner(season_year)")
+          .eq("teams.season_year", seasonYear)
+          .in("rider_id", ids)
+      );
+    } catch {
+      return res.status(500).json({ error: "DB error" });
+    }
+  }
+
   // Shape matches frontend: { rider_name, price } (keep points field optional for legacy)
   const out = (data ?? [])
     .map((row) => ({
+      id: row.id,
       rider_name: row.rider_name,
       price: Array.isArray(row?.rider_prices)
         ? row.rider_prices.find((p) => p.season_year === seasonYear)?.price ?? 0
         : 0,
+      ownership: ownershipShare(owned.filter((o) => o.rider_id === row.id).length, teamCount ?? 0),
     }))
     .slice(0, 10);
 
   return res.json(out);
 });
 
+// Who picked whom this season: per-rider counts/shares, most owned, differentials, top-10 core.
+router.get("/ownership", seasonMiddleware, async (req, res) => {
+  try {
+    return res.json(await ownershipStats(req.seasonYear));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Rider profile: prices/points per season, every scored result and how many teams picked them.
+router.get("/:id", async (req, res) => {
+  const parsed = z.string().uuid().safeParse(req.params.id);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid rider id" });
+
+  const { data: rider, error: riderErr } = await supabase
+    .from("riders")
+    .select(
+      "id, pcs_slug, rider_name, team_name, nationality, active, rider_prices(season_year, price), rider_points(season_year, points)"
+    )
+    .eq("id", parsed.data)
+    .maybeSingle();
+
+  if (riderErr) return res.status(500).json({ error: "DB error" });
+  if (!rider) return res.status(404).json({ error: "Rider not found" });
+
+  const { data: results, error: resultsErr } = await supabase
+    .from("race_results")
+    .select("rank, points_awarded, races!inner(id, pcs_slug, name, race_date)")
+    .eq("rider_id", rider.id);
+
+  if (resultsErr) return res.status(500).json({ error: "DB error" });
+
+  const { data: owners, error: ownersErr } = await supabase
+    .from("team_riders")
+    .select("teams!inner(season_year)")
+    .eq("rider_id", rider.id);
+
+  if (ownersErr) return res.status(500).json({ error: "DB error" });
+
+  const teamsBySeason = new Map();
+  for (const row of owners ?? []) {
+    const year = row.teams.season_year;
+    teamsBySeason.set(year, (teamsBySeason.get(year) ?? 0) + 1);
+  }
+
+  const years = new Set([
+    ...(rider.rider_prices ?? []).map((p) => p.season_year),
+    ...(rider.rider_points ?? []).map((p) => p.season_year),
+    ...teamsBySeason.keys(),
+  ]);
+  const seasons = Array.from(years)
+    .sort((a, b) => b - a)
+    .map((year) => ({
+      season: year,
+      price: rider.rider_prices?.find((p) => p.season_year === year)?.price ?? null,
+      points: rider.rider_points?.find((p) => p.season_year === year)?.points ?? 0,
+      teams: teamsBySeason.get(year) ?? 0,
+    }));
+
+  return res.json({
+    id: rider.id,
+    pcsSlug: rider.pcs_slug,
+    rider_name: rider.rider_name,
+    team_name: rider.team_name,
+    nationality: rider.nationality,
+    active: rider.active,
+    seasons,
+    results: (results ?? [])
+      .map((r) => ({
+        raceId: r.races.id,
+        race: r.races.name,
+        date: r.races.race_date,
+        tier: raceTier(raceKey(r.races.pcs_slug)),
+        rank: r.rank,
+        points: r.points_awarded ?? 0,
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date)),
+  });
+});
+
 export default router;
 
 
@@ -0,0 +1,30 @@
+import express from "express";
+import { currentSeasonYear, getSeasonConfig, seasonConfigResponse } from "../seasons.js";
+import { perfectTeam } from "../optimizer.js";
+
+const router = express.Router();
+
+// Public: game rules for a season (`current` resolves to the current season).
+router.get("/:year/config", async (req, res) => {
+  try {
+    const seasonYear = req.params.year === "current" ? await currentSeasonYear() : Number(req.params.year);
+    if (!Number.isInteger(seasonYear)) return res.status(400).json({ error: "Invalid season" });
+    const config = await getSeasonConfig(seasonYear);
+    return res.json(seasonConfigResponse(config));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Public: best possible roster in hindsight (season points, season prices, roster size and budget).
+router.get("/:year/perfect-team", async (req, res) => {
+  try {
+    const seasonYear = req.params.year === "current" ? await currentSeasonYear() : Number(req.params.year);
+    if (!Number.isInteger(seasonYear)) return res.status(400).json({ error: "Invalid season" });
+    return res.json(await perfectTeam(seasonYear));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+});
+
+export default router;
@@ -2,19 +2,22 @@ import express from "express";
 import { z } from "zod";
 import { supabase } from "../supabase.js";
 import { authMiddleware } from "../auth.js";
-import { nowSeasonYear } from "../utils.js";
+import { getCurrentSeasonConfig, getSeasonConfig, isSeasonLocked, seasonMiddleware } from "../seasons.js";
+import { insertTeam, rosterPoints, validateRoster } from "../rosters.js";
+import { effectiveFromDate, getTransferWindow, loadTeamScore } from "../transfers.js";
 
 const router = express.Router();
 
-const DEFAULT_SLOTS = 12;
-const BUDGET = 11000;
+// Raised by apply_team_transfers (supabase/schema.sql): window limit reached / roster changed meanwhile.
+const CHECK_VIOLATION = "23514";
+const SERIALIZATION_FAILURE = "40001";
 
-router.get("/me/team", authMiddleware, async (req, res) => {
-  const seasonYear = nowSeasonYear();
+router.get("/me/team", authMiddleware, seasonMiddleware, async (req, res) => {
+  const seasonYear = req.seasonYear;
 
   const { data: team, error: teamErr } = await supabase
     .from("teams")
-    .select("id, team_name, season_year, total_cost, points, created_at")
+    .select("id, team_name, season_year, total_cost, points, locked, final_rank, created_at")
     .eq("user_id", req.userId)
     .eq("season_year", seasonYear)
     .maybeSingle();
@@ -26,7 +29,7 @@ router.get("/me/team", authMiddleware, async (req, res) => {
   const { data: roster, error: rosterErr } = await supabase
     .from("team_riders")
     .select(
-      "slot, riders!inner(rider_name, rider_prices(season_year, price), rider_points(season_year, points))"
+      "slot, riders!inner(id, rider_name, rider_prices(season_year, price), rider_points(season_year, points))"
     )
     .eq("team_id", team.id)
     .order("slot", { ascending: true });
@@ -41,10 +44,21 @@ router.get("/me/team", authMiddleware, async (req, res) => {
     const points = Array.isArray(r?.rider_points)
       ? r.rider_points.find((p) => p.season_year === seasonYear)?.points ?? 0
       : 0;
-    return { rider_name: r.rider_name, price, points, slot: row.slot };
+    return { id: r.id, rider_name: r.rider_name, price, points, slot: row.slot };
   });
 
-  const computedTeamPoints = riders.reduce((sum, r) => sum + (r.points ?? 0), 0);
+  let config;
+  let score;
+  try {
+    config = await getSeasonConfig(seasonYear);
+    score = await loadTeamScore(team.id, seasonYear);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  // Points earned for this team (differs from the season total for riders swapped in mid-season).
+  for (const r of riders) {
+    r.points = score.stints.find((s) => s.slot === r.slot && !s.to)?.points ?? r.points;
+  }
 
   return res.json({
     teamName: team.team_name,
@@ -52,20 +66,25 @@ router.get("/me/team", authMiddleware, async (req, res) => {
     riders,
     totalPrice: team.total_cost,
     // Prefer computed points so the UI is correct even if the nightly sync hasn't updated the team row yet.
-    points: computedTeamPoints,
+    points: score.total,
     createdAt: team.created_at,
+    lockAt: config.lockAt,
+    editable: !team.locked && !isSeasonLocked(config),
+    finalRank: team.final_rank,
   });
 });
 
 router.post("/me/team", authMiddleware, async (req, res) => {
-  const schema = z.object({
-    teamName: z.string().min(2).max(80),
-    riders: z.array(z.object({ rider_name: z.string().min(1) })).length(DEFAULT_SLOTS),
-  });
-  const parsed = schema.safeParse(req.body);
-  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
-
-  const seasonYear = nowSeasonYear();
+  let config;
+  try {
+    config = await getCurrentSeasonConfig();
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  const { seasonYear } = config;
+  if (isSeasonLocked(config)) {
+    return res.status(409).json({ error: `Season ${seasonYear} is not open for new teams.` });
+  }
 
   // Ensure user doesn't already have a team this season.
   const { data: existing, error: existingErr } = await supabase
@@ -75,93 +94,396 @@ router.post("/me/team", authMiddleware, async (req, res) => {
     .eq("season_year", seasonYear)
     .maybeSingle();
   if (existingErr) return res.status(500).json({ error: "DB error" });
-  if (existing) return res.status(409).json({ error: "Team already exists (locked)." });
+  if (existing) return res.status(409).json({ error: "Team already exists; use PUT to edit it." });
 
-  const names = parsed.data.riders.map((r) => r.rider_name.trim());
-  const unique = new Set(names);
-  if (unique.size !== names.length) return res.status(400).json({ error: "Riders must be unique." });
+  let checked;
+  try {
+    checked = await validateRoster(req.body, config);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  if (!checked.ok) return res.status(400).json({ error: checked.error });
+  const { roster } = checked;
 
-  // Resolve rider ids + prices for season.
-  const { data: riders, error: ridersErr } = await supabase
-    .from("riders")
-    .select("id, rider_name, rider_prices(season_year, price)")
-    .in("rider_name", names);
+  let createdTeam;
+  try {
+    createdTeam = await insertTeam(req.userId, seasonYear, checked);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  // The draft has served its purpose.
+  await supabase.from("team_drafts").delete().eq("user_id", req.userId).eq("season_year", seasonYear);
+
+  return res.status(201).json({
+    teamName: createdTeam.team_name,
+    season: createdTeam.season_year,
+    riders: roster.map((r) => ({ rider_name: r.rider_name, price: r.price })),
+    totalPrice: createdTeam.total_cost,
+    points: createdTeam.points,
+    createdAt: createdTeam.created_at,
+  });
+});
 
-  if (ridersErr) return res.status(500).json({ error: "DB error" });
+// Replace the roster and/or name of my team; same rules as creation, allowed until the lock deadline.
+router.put("/me/team", authMiddleware, async (req, res) => {
+  let config;
+  try {
+    config = await getCurrentSeasonConfig();
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  const { seasonYear } = config;
 
-  const byName = new Map();
-  for (const r of riders ?? []) byName.set(r.rider_name, r);
-  for (const n of names) {
-    if (!byName.has(n)) return res.status(400).json({ error: `Unknown rider: ${n}` });
+  const { data: team, error: teamErr } = await supabase
+    .from("teams")
+    .select("id, locked")
+    .eq("user_id", req.userId)
+    .eq("season_year", seasonYear)
+    .maybeSingle();
+  if (teamErr) return res.status(500).json({ error: "DB error" });
+  if (!team) return res.status(404).json({ error: "Team not found" });
+  if (team.locked || isSeasonLocked(config)) {
+    return res.status(409).json({ error: `Teams for season ${seasonYear} are locked.` });
   }
 
-  const rosterWithCosts = names.map((n, idx) => {
-    const r = byName.get(n);
-    const price = Array.isArray(r?.rider_prices)
-      ? r.rider_prices.find((p) => p.season_year === seasonYear)?.price ?? null
-      : null;
-    if (price === null) {
-      // Keep this user-friendly; ingestion should guarantee prices exist.
-      return { slot: idx + 1, rider_id: r.id, rider_name: n, price: null };
-    }
-    return { slot: idx + 1, rider_id: r.id, rider_name: n, price };
-  });
+  let checked;
+  try {
+    checked = await validateRoster(req.body, config);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  if (!checked.ok) return res.status(400).json({ error: checked.error });
+  const { teamName, roster, totalCost } = checked;
 
-  if (rosterWithCosts.some((x) => x.price === null)) {
-    return res.status(400).json({ error: `Missing rider price data for season ${seasonYear}.` });
+  // Slots are unique per team, so clear the old roster before inserting the new one; the old rows are
+  // kept and put back if the insert fails, so a failed edit never leaves the team empty.
+  const { data: previous, error: previousErr } = await supabase
+    .from("team_riders")
+    .select("team_id, rider_id, slot")
+    .eq("team_id", team.id);
+  if (previousErr) return res.status(500).json({ error: "DB error" });
+
+  const { error: deleteErr } = await supabase.from("team_riders").delete().eq("team_id", team.id);
+  if (deleteErr) return res.status(500).json({ error: "DB error" });
+
+  const { error: insertRosterErr } = await supabase
+    .from("team_riders")
+    .insert(roster.map((r) => ({ team_id: team.id, rider_id: r.rider_id, slot: r.slot })));
+  if (insertRosterErr) {
+    if (previous?.length) {
+      const { error: restoreErr } = await supabase.from("team_riders").insert(previous);
+      if (restoreErr) console.error("Restoring roster failed", team.id, restoreErr);
+    }
+    return res.status(500).json({ error: "DB error" });
   }
 
-  const totalCost = rosterWithCosts.reduce((sum, x) => sum + x.price, 0);
-  if (totalCost > BUDGET) return res.status(400).json({ error: `Budget exceeded by ${totalCost - BUDGET}.` });
+  let totalPoints;
+  try {
+    totalPoints = await rosterPoints(seasonYear, roster.map((r) => r.rider_id));
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
 
-  // Create team
-  const { data: createdTeam, error: createTeamErr } = await supabase
+  const { data: updated, error: updateErr } = await supabase
     .from("teams")
-    .insert({
-      user_id: req.userId,
-      season_year: seasonYear,
-      team_name: parsed.data.teamName.trim(),
-      total_cost: totalCost,
-      points: 0,
-      locked: true,
-    })
+    .update({ team_name: teamName, total_cost: totalCost, points: totalPoints })
+    .eq("id", team.id)
     .select("id, team_name, season_year, total_cost, points, created_at")
     .single();
+  if (updateErr) return res.status(500).json({ error: "DB error" });
+
+  return res.json({
+    teamName: updated.team_name,
+    season: updated.season_year,
+    riders: roster.map((r) => ({ rider_name: r.rider_name, price: r.price })),
+    totalPrice: updated.total_cost,
+    points: totalPoints,
+    createdAt: updated.created_at,
+  });
+});
+
+// Half-built team saved by the TeamBuilder; riders are returned per slot (null = empty slot).
+router.get("/me/team/draft", authMiddleware, seasonMiddleware, async (req, res) => {
+  const seasonYear = req.seasonYear;
+
+  const { data: draft, error: draftErr } = await supabase
+    .from("team_drafts")
+    .select("team_name, rider_ids, updated_at")
+    .eq("user_id", req.userId)
+    .eq("season_year", seasonYear)
+    .maybeSingle();
+  if (draftErr) return res.status(500).json({ error: "DB error" });
+  if (!draft) return res.json(null);
+
+  const ids = (draft.rider_ids ?? []).filter(Boolean);
+  let riders = [];
+  if (ids.length) {
+    const { data, error } = await supabase
+      .from("riders")
+      .select("id, rider_name, rider_prices(season_year, price)")
+      .in("id", ids);
+    if (error) return res.status(500).json({ error: "DB error" });
+    riders = data ?? [];
+  }
+  const byId = new Map(riders.map((r) => [r.id, r]));
 
-  if (createTeamErr) return res.status(500).json({ error: "DB error" });
+  return res.json({
+    season: seasonYear,
+    teamName: draft.team_name,
+    riders: (draft.rider_ids ?? []).map((id) => {
+      const r = id ? byId.get(id) : null;
+      if (!r) return null;
+      const price = Array.isArray(r.rider_prices)
+        ? r.rider_prices.find((p) => p.season_year === seasonYear)?.price ?? 0
+        : 0;
+      return { id: r.id, rider_name: r.rider_name, price };
+    }),
+    updatedAt: draft.updated_at,
+  });
+});
 
-  const teamRidersRows = rosterWithCosts.map((r) => ({
-    team_id: createdTeam.id,
-    rider_id: r.rider_id,
-    slot: r.slot,
-  }));
+// Save the draft as-is: no budget or completeness checks until the team is created.
+router.put("/me/team/draft", authMiddleware, async (req, res) => {
+  let config;
+  try {
+    config = await getCurrentSeasonConfig();
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
 
-  const { error: insertRosterErr } = await supabase.from("team_riders").insert(teamRidersRows);
-  if (insertRosterErr) return res.status(500).json({ error: "DB error" });
+  const schema = z.object({
+    teamName: z.string().max(80).default(""),
+    riders: z.array(z.string().uuid().nullable()).max(config.rosterSize),
+  });
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
 
-  // Compute initial team points from existing rider_points (so teams don't show 0 until the next daily sync).
-  const riderIds = rosterWithCosts.map((r) => r.rider_id);
-  const { data: ptsRows, error: ptsErr } = await supabase
-    .from("rider_points")
-    .select("rider_id, points")
+  const { data, error } = await supabase
+    .from("team_drafts")
+    .upsert(
+      {
+        user_id: req.userId,
+        season_year: config.seasonYear,
+        team_name: parsed.data.teamName,
+        rider_ids: parsed.data.riders,
+      },
+      { onConflict: "user_id,season_year" }
+    )
+    .select("updated_at")
+    .single();
+  if (error) return res.status(500).json({ error: "DB error" });
+
+  return res.json({ season: config.seasonYear, updatedAt: data.updated_at });
+});
+
+router.delete("/me/team/draft", authMiddleware, async (req, res) => {
+  let seasonYear;
+  try {
+    seasonYear = (await getCurrentSeasonConfig()).seasonYear;
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+
+  const { error } = await supabase
+    .from("team_drafts")
+    .delete()
+    .eq("user_id", req.userId)
+    .eq("season_year", seasonYear);
+  if (error) return res.status(500).json({ error: "DB error" });
+  return res.status(204).end();
+});
+
+function transferResponse(t, nameById) {
+  return {
+    id: t.id,
+    slot: t.slot,
+    riderOut: { id: t.rider_out_id, rider_name: nameById.get(t.rider_out_id), price: t.price_out },
+    riderIn: { id: t.rider_in_id, rider_name: nameById.get(t.rider_in_id), price: t.price_in },
+    transferredAt: t.transferred_at,
+    effectiveFrom: t.effective_from,
+    windowId: t.window_id,
+  };
+}
+
+// Transfer window (open now, or the next one) + my transfers so far this season.
+router.get("/me/team/transfers", authMiddleware, seasonMiddleware, async (req, res) => {
+  const seasonYear = req.seasonYear;
+
+  const { data: team, error: teamErr } = await supabase
+    .from("teams")
+    .select("id")
+    .eq("user_id", req.userId)
     .eq("season_year", seasonYear)
-    .in("rider_id", riderIds);
-  if (ptsErr) return res.status(500).json({ error: "DB error" });
-  const totalPoints = (ptsRows ?? []).reduce((sum, r) => sum + (r.points ?? 0), 0);
+    .maybeSingle();
+  if (teamErr) return res.status(500).json({ error: "DB error" });
+  if (!team) return res.status(404).json({ error: "Team not found" });
 
-  // Persist points so leaderboard is correct immediately.
-  await supabase.from("teams").update({ points: totalPoints }).eq("id", createdTeam.id);
+  let window;
+  try {
+    window = await getTransferWindow(seasonYear);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
 
-  return res.status(201).json({
-    teamName: createdTeam.team_name,
-    season: createdTeam.season_year,
-    riders: rosterWithCosts.map((r) => ({ rider_name: r.rider_name, price: r.price })),
-    totalPrice: createdTeam.total_cost,
-    points: totalPoints,
-    createdAt: createdTeam.created_at,
+  const { data: transfers, error: transfersErr } = await supabase
+    .from("team_transfers")
+    .select("id, window_id, slot, rider_out_id, rider_in_id, price_out, price_in, transferred_at, effective_from")
+    .eq("team_id", team.id)
+    .order("transferred_at", { ascending: true });
+  if (transfersErr) return res.status(500).json({ error: "DB error" });
+
+  const riderIds = [...new Set((transfers ?? []).flatMap((t) => [t.rider_out_id, t.rider_in_id]))];
+  let riders = [];
+  if (riderIds.length) {
+    const { data, error } = await supabase.from("riders").select("id, rider_name").in("id", riderIds);
+    if (error) return res.status(500).json({ error: "DB error" });
+    riders = data ?? [];
+  }
+  const nameById = new Map(riders.map((r) => [r.id, r.rider_name]));
+
+  const used = window ? (transfers ?? []).filter((t) => t.window_id === window.id).length : 0;
+  return res.json({
+    season: seasonYear,
+    window: window ? { ...window, used, remaining: Math.max(window.maxTransfers - used, 0) } : null,
+    transfers: (transfers ?? []).map((t) => transferResponse(t, nameById)),
   });
 });
 
-export default router;
+// Swap riders during an open transfer window: [{ riderOut, riderIn }] by rider name.
+router.post("/me/team/transfers", authMiddleware, async (req, res) => {
+  const schema = z.object({
+    transfers: z
+      .array(z.object({ riderOut: z.string().min(1), riderIn: z.string().min(1) }))
+      .min(1)
+      .max(30),
+  });
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: "Invalid request" });
 
+  let config;
+  let window;
+  try {
+    config = await getCurrentSeasonConfig();
+    window = await getTransferWindow(config.seasonYear);
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+  const { seasonYear, budget } = config;
+  if (config.status === "finished" || !window?.open) {
+    return res.status(409).json({ error: "No transfer window is open." });
+  }
 
+  const { data: team, error: teamErr } = await supabase
+    .from("teams")
+    .select("id, locked")
+    .eq("user_id", req.userId)
+    .eq("season_year", seasonYear)
+    .maybeSingle();
+  if (teamErr) return res.status(500).json({ error: "DB error" });
+  if (!team) return res.status(404).json({ error: "Team not found" });
+  if (team.locked) return res.status(409).json({ error: "This team is locked." });
+  if (!isSeasonLocked(config)) {
+    return res.status(409).json({ error: "Teams can still be edited freely; use PUT /me/team." });
+  }
+
+  const { count: used, error: usedErr } = await supabase
+    .from("team_transfers")
+    .select("id", { count: "exact", head: true })
+    .eq("team_id", team.id)
+    .eq("window_id", window.id);
+  if (usedErr) return res.status(500).json({ error: "DB error" });
+
+  const swaps = parsed.data.transfers.map((t) => ({ out: t.riderOut.trim(), in: t.riderIn.trim() }));
+  if ((used ?? 0) + swaps.length > window.maxTransfers) {
+    return res.status(400).json({
+      error: `Only ${Math.max(window.maxTransfers - (used ?? 0), 0)} transfer(s) left in this window.`,
+    });
+  }
+
+  const { data: roster, error: rosterErr } = await supabase
+    .from("team_riders")
+    .select("slot, rider_id, riders!inner(rider_name, rider_prices(season_year, price))")
+    .eq("team_id", team.id)
+    .order("slot", { ascending: true });
+  if (rosterErr) return res.status(500).json({ error: "DB error" });
+
+  const { data: incoming, error: incomingErr } = await supabase
+    .from("riders")
+    .select("id, rider_name, rider_prices(season_year, price)")
+    .in("rider_name", swaps.map((s) => s.in));
+  if (incomingErr) return res.status(500).json({ error: "DB error" });
+
+  const seasonPrice = (r) =>
+    Array.isArray(r?.rider_prices) ? r.rider_prices.find((p) => p.season_year === seasonYear)?.price ?? null : null;
+  const slotByName = new Map((roster ?? []).map((row) => [row.riders.rider_name, row]));
+  const incomingByName = new Map((incoming ?? []).map((r) => [r.rider_name, r]));
+
+  const outs = new Set(swaps.map((s) => s.out));
+  const ins = new Set(swaps.map((s) => s.in));
+  if (outs.size !== swaps.length || ins.size !== swaps.length) {
+    return res.status(400).json({ error: "Riders must be unique." });
+  }
+
+  const planned = [];
+  for (const s of swaps) {
+    const current = slotByName.get(s.out);
+    if (!current) return res.status(400).json({ error: `Not in your team: ${s.out}` });
+    const rider = incomingByName.get(s.in);
+    if (!rider) return res.status(400).json({ error: `Unknown rider: ${s.in}` });
+    if (slotByName.has(s.in)) {
+      return res.status(400).json({ error: `Already in your team: ${s.in}` });
+    }
+    const priceOut = seasonPrice(current.riders);
+    const priceIn = seasonPrice(rider);
+    if (priceOut === null || priceIn === null) {
+      return res.status(400).json({ error: `Missing rider price data for season ${seasonYear}.` });
+    }
+    planned.push({ slot: current.slot, riderOutId: current.rider_id, riderInId: rider.id, priceOut, priceIn });
+  }
+
+  // Budget is re-checked on the resulting roster at this season's prices.
+  const swapBySlot = new Map(planned.map((p) => [p.slot, p]));
+  const totalCost = (roster ?? []).reduce(
+    (sum, row) => sum + (swapBySlot.get(row.slot)?.priceIn ?? seasonPrice(row.riders) ?? 0),
+    0
+  );
+  if (totalCost > budget) return res.status(400).json({ error: `Budget exceeded by ${totalCost - budget}.` });
+
+  // One transaction in the database: the log rows, the slot swaps and the new cost. It also re-counts
+  // the window's transfers under a lock, so concurrent submissions cannot exceed the limit together.
+  const transferredAt = new Date().toISOString();
+  const { data: logged, error: logErr } = await supabase.rpc("apply_team_transfers", {
+    p_team_id: team.id,
+    p_window_id: window.id,
+    p_transfers: planned.map((p) => ({
+      slot: p.slot,
+      rider_out_id: p.riderOutId,
+      rider_in_id: p.riderInId,
+      price_out: p.priceOut,
+      price_in: p.priceIn,
+      transferred_at: transferredAt,
+      effective_from: effectiveFromDate(transferredAt),
+    })),
+    p_total_cost: totalCost,
+  });
+  if (logErr?.code === CHECK_VIOLATION) {
+    return res.status(409).json({ error: "No transfers left in this window." });
+  }
+  if (logErr?.code === SERIALIZATION_FAILURE) {
+    return res.status(409).json({ error: "Your team changed in the meantime; reload and try again." });
+  }
+  if (logErr) return res.status(500).json({ error: "DB error" });
+
+  const nameById = new Map([
+    ...(roster ?? []).map((row) => [row.rider_id, row.riders.rider_name]),
+    ...(incoming ?? []).map((r) => [r.id, r.rider_name]),
+  ]);
+  return res.status(201).json({
+    totalPrice: totalCost,
+    remaining: window.maxTransfers - (used ?? 0) - planned.length,
+    transfers: (logged ?? []).map((t) => transferResponse(t, nameById)),
+  });
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from "express";
 import { z } from "zod";
 import { supabase } from "../supabase.js";
 import { authMiddleware } from "../auth.js";
+import { userCareer } from "../careers.js";
 
 const router = express.Router();
 
@@ -55,6 +56,20 @@ router.patch("/me", authMiddleware, async (req, res) => {
     });
 });
 
+// Public: a player's seasons, ranks, titles and total points (linked from the hall of fame).
+router.get("/:userId/career", async (req, res) => {
+    if (!z.string().uuid().safeParse(req.params.userId).success) {
+        return res.status(400).json({ error: "Invalid request" });
+    }
+    try {
+        const career = await userCareer(req.params.userId);
+        if (!career) return res.status(404).json({ error: "User not found" });
+        return res.json(career);
+    } catch {
+        return res.status(500).json({ error: "DB error" });
+    }
+});
+
 export default router;
 
 
@@ -0,0 +1,109 @@
+import { raceTier } from "megabike-scoring";
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+import { DEFAULT_SEASON_CONFIG, getSeasonConfig } from "./seasons.js";
+import { loadRosterStints, loadSeasonResults, scoreStints } from "./transfers.js";
+import { recomputeSeasonPoints } from "./sync.js";
+import { snapshotSeasonStandings } from "./standings.js";
+import { clearPerfectTeamCache } from "./optimizer.js";
+import { publishStandings } from "./leaderboardStream.js";
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Final ranking of a season, scored from the results (transfers applied). Ties on points are broken by
+ * points scored in monuments (tier 0), then the cheaper roster, then the team created first; every
+ * team gets a distinct rank so the podium is never shared.
+ */
+export async function finalStandings(seasonYear) {
+  const teams = await fetchAll("id", () =>
+    supabase
+      .from("teams")
+      .select("id, team_name, user_id, total_cost, created_at, users(display_name)")
+      .eq("season_year", seasonYear)
+  );
+  const stintsByTeam = await loadRosterStints(teams.map((t) => t.id));
+  const results = await loadSeasonResults(seasonYear);
+
+  const { data: races, error } = await supabase
+    .from("races")
+    .select("id, pcs_slug")
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`);
+  if (error) throw error;
+  const monumentIds = new Set((races ?? []).filter((r) => raceTier(r.pcs_slug) === 0).map((r) => r.id));
+  const monumentResults = results.filter((r) => monumentIds.has(r.race_id));
+
+  return teams
+    .map((t) => ({
+      teamId: t.id,
+      teamName: t.team_name,
+      userId: t.user_id,
+      ownerName: t.users?.display_name ?? null,
+      points: scoreStints(stintsByTeam.get(t.id), results).total,
+      monumentPoints: scoreStints(stintsByTeam.get(t.id), monumentResults).total,
+      totalCost: t.total_cost,
+      createdAt: t.created_at,
+    }))
+    .sort(
+      (a, b) =>
+        b.points - a.points ||
+        b.monumentPoints - a.monumentPoints ||
+        a.totalCost - b.totalCost ||
+        a.createdAt.localeCompare(b.createdAt)
+    )
+    .map((row, idx) => ({ ...row, rank: idx + 1 }));
+}
+
+/**
+ * Close a season: recompute and freeze every team's points, store final ranks, write the podium into
+ * `seasons` and mark the season finished (teams become read-only and syncs refuse it).
+ * With dryRun nothing is written. Throws 409 errors when the season is already finished or has
+ * fewer than three teams.
+ */
+export async function closeSeason(seasonYear, { dryRun = false } = {}) {
+  const config = await getSeasonConfig(seasonYear);
+  if (config.status === "finished") throw conflict(`Season ${seasonYear} is already finished.`);
+
+  const standings = await finalStandings(seasonYear);
+  if (standings.length < 3) throw conflict("A season needs at least three teams to have a podium.");
+
+  // Hall of fame rows have always been player names (teams change name every year); the ids keep
+  // them linked to the player after a rename.
+  const podium = {};
+  ["winner", "second", "third"].forEach((place, idx) => {
+    const row = standings[idx];
+    podium[place] = row.ownerName ?? row.teamName;
+    podium[`${place}_user_id`] = row.userId;
+    podium[`${place}_team_id`] = row.teamId;
+  });
+  if (dryRun) return { season: seasonYear, dryRun: true, podium, standings };
+
+  await recomputeSeasonPoints(seasonYear);
+  await snapshotSeasonStandings(seasonYear);
+  for (const row of standings) {
+    const { error } = await supabase
+      .from("teams")
+      .update({ points: row.points, final_rank: row.rank, locked: true })
+      .eq("id", row.teamId);
+    if (error) throw error;
+  }
+
+  const { error: podiumErr } = await supabase
+    .from("seasons")
+    .upsert({ season_year: seasonYear, ...podium }, { onConflict: "season_year" });
+  if (podiumErr) throw podiumErr;
+
+  const { error: statusErr } = config.configured
+    ? await supabase.from("season_configs").update({ status: "finished" }).eq("season_year", seasonYear)
+    : await supabase.from("season_configs").insert({ season_year: seasonYear, ...DEFAULT_SEASON_CONFIG, status: "finished" });
+  if (statusErr) throw statusErr;
+
+  clearPerfectTeamCache(seasonYear);
+  publishStandings(seasonYear).catch((err) => console.error("Standings stream update failed", err));
+  return { season: seasonYear, dryRun: false, podium, standings };
+}
@@ -0,0 +1,112 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+import { getSeasonConfig } from "./seasons.js";
+import { seasonCalendar } from "./calendar.js";
+import { rankByPoints } from "./standings.js";
+import { loadRosterStints, loadSeasonResults, stintCovers } from "./transfers.js";
+
+// Column headers of the historical Megabike spreadsheet ("Résultats" sheet).
+export const RACE_CODES = {
+  "omloop-het-nieuwsblad": "HNB",
+  "faun-ardeche-classic": "FAC",
+  "kuurne-brussel-kuurne": "KBK",
+  "la-drome-classic": "FDC",
+  "trofeo-laigueglia": "TL",
+  "strade-bianche": "SB",
+  "nokere-koerse": "NK",
+  "milano-torino": "MT",
+  "gp-de-denain": "GPD",
+  "bredene-koksijde-classic": "BKC",
+  "milano-sanremo": "M-SR",
+  "classic-brugge-de-panne": "BCC",
+  "e3-harelbeke": "E3",
+  "gent-wevelgem": "GW",
+  "dwars-door-vlaanderen": "DDV",
+  "gran-premio-miguel-indurain": "GPMI",
+  "ronde-van-vlaanderen": "RVV",
+  "scheldeprijs": "GSP",
+  "brabantse-pijl": "FLBR",
+  "paris-roubaix": "PR",
+  "amstel-gold-race": "AMS",
+  "la-fleche-wallone": "FW",
+  "liege-bastogne-liege": "L-B-L",
+};
+
+/**
+ * The season as the league's spreadsheet lays it out: one row per team (rank, owner, team, each
+ * current rider with their price, roster cost), then the team's points in every calendar race
+ * (transfers applied) and the total. Returns { season, columns, rows } for toCsv / toXlsx.
+ */
+export async function seasonSheet(seasonYear) {
+  const config = await getSeasonConfig(seasonYear);
+  const calendar = await seasonCalendar(config);
+
+  const teams = await fetchAll("id", () =>
+    supabase
+      .from("teams")
+      .select("id, team_name, total_cost, users(display_name)")
+      .eq("season_year", seasonYear)
+  );
+  const stintsByTeam = await loadRosterStints(teams.map((t) => t.id));
+  const results = await loadSeasonResults(seasonYear);
+
+  const riderIds = [...new Set([...stintsByTeam.values()].flat().map((s) => s.riderId))];
+  const riders = riderIds.length
+    ? await fetchAll("id", () => supabase.from("riders").select("id, rider_name").in("id", riderIds))
+    : [];
+  const nameById = new Map(riders.map((r) => [r.id, r.rider_name]));
+  const prices = await fetchAll("rider_id", () =>
+    supabase
+      .from("rider_prices")
+      .select("rider_id, price")
+      .eq("season_year", seasonYear)
+  );
+  const priceById = new Map(prices.map((p) => [p.rider_id, p.price]));
+
+  const resultsByRace = new Map();
+  for (const r of results) {
+    if (!resultsByRace.has(r.race_id)) resultsByRace.set(r.race_id, []);
+    resultsByRace.get(r.race_id).push(r);
+  }
+
+  const current = (teamId) => stintsByTeam.get(teamId).filter((s) => !s.to);
+  const rosterSize = Math.max(config.rosterSize, ...teams.map((t) => current(t.id).length));
+  const rows = teams.map((t) => {
+    const stints = stintsByTeam.get(t.id);
+    const row = { owner: t.users?.display_name ?? "", team: t.team_name, cost: t.total_cost, points: 0 };
+
+    current(t.id)
+      .sort((a, b) => a.slot - b.slot)
+      .forEach((s, idx) => {
+        row[`rider_${idx + 1}`] = nameById.get(s.riderId) ?? "";
+        row[`price_${idx + 1}`] = priceById.get(s.riderId) ?? null;
+      });
+
+    for (const race of calendar) {
+      if (!race.results) continue;
+      const held = stints.filter((s) => stintCovers(s, race.date));
+      const points = (resultsByRace.get(race.id) ?? [])
+        .filter((r) => held.some((s) => s.riderId === r.rider_id))
+        .reduce((sum, r) => sum + (r.points_awarded ?? 0), 0);
+      row[`race_${race.key}`] = points;
+      row.points += points;
+    }
+    return row;
+  });
+
+  const columns = [
+    { key: "rank", header: "#" },
+    { key: "owner", header: "Owner" },
+    { key: "team", header: "Team" },
+    ...Array.from({ length: rosterSize }, (_, i) => [
+      { key: `rider_${i + 1}`, header: `Rider ${i + 1}` },
+      { key: `price_${i + 1}`, header: `Price ${i + 1}` },
+    ]).flat(),
+    { key: "cost", header: "Cost" },
+    ...calendar.map((race) => ({ key: `race_${race.key}`, header: RACE_CODES[race.key] ?? race.key })),
+    { key: "points", header: "Total" },
+  ];
+
+  const ranked = rankByPoints(rows).sort((a, b) => a.rank - b.rank || a.team.localeCompare(b.team));
+  return { season: seasonYear, columns, rows: ranked };
+}
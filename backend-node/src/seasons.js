@@ -0,0 +1,91 @@
+import { RACES, raceTier } from "megabike-scoring";
+import { supabase } from "./supabase.js";
+import { nowSeasonYear } from "./utils.js";
+
+export const SEASON_STATUSES = ["upcoming", "open", "locked", "finished"];
+
+// Used for seasons without a season_configs row (keeps a fresh database usable).
+export const DEFAULT_SEASON_CONFIG = {
+  status: "open",
+  roster_size: 12,
+  budget: 11000,
+  lock_at: null,
+  races: null,
+};
+
+const CONFIG_COLUMNS = "season_year, status, roster_size, budget, lock_at, races";
+
+function toConfig(seasonYear, row, firstRaceDate = null) {
+  const r = { ...DEFAULT_SEASON_CONFIG, ...(row ?? {}) };
+  return {
+    seasonYear,
+    status: r.status,
+    rosterSize: r.roster_size,
+    budget: r.budget,
+    // Without an explicit lock_at, rosters lock when the season's first race starts.
+    lockAt: r.lock_at ?? (firstRaceDate ? new Date(`${firstRaceDate}T00:00:00Z`).toISOString() : null),
+    lockSource: r.lock_at ? "config" : firstRaceDate ? "first_race" : null,
+    races: (r.races ?? RACES).map((key) => ({ key, tier: raceTier(key) })),
+    configured: !!row,
+  };
+}
+
+// Rosters are frozen once the season leaves "open" or the lock deadline has passed.
+export function isSeasonLocked(config, now = new Date()) {
+  if (config.status !== "open") return true;
+  return !!config.lockAt && new Date(config.lockAt) <= now;
+}
+
+async function firstRaceDate(seasonYear) {
+  const { data, error } = await supabase
+    .from("races")
+    .select("race_date")
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`)
+    .order("race_date", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.race_date ?? null;
+}
+
+export async function getSeasonConfig(seasonYear) {
+  const { data, error } = await supabase
+    .from("season_configs")
+    .select(CONFIG_COLUMNS)
+    .eq("season_year", seasonYear)
+    .maybeSingle();
+  if (error) throw error;
+  return toConfig(seasonYear, data, data?.lock_at ? null : await firstRaceDate(seasonYear));
+}
+
+// Current season = latest configured season that is no longer "upcoming"; calendar year otherwise.
+export async function currentSeasonYear() {
+  const { data, error } = await supabase
+    .from("season_configs")
+    .select("season_year")
+    .neq("status", "upcoming")
+    .order("season_year", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.season_year ?? nowSeasonYear();
+}
+
+export async function getCurrentSeasonConfig() {
+  return getSeasonConfig(await currentSeasonYear());
+}
+
+export function seasonConfigResponse(config) {
+  return { ...config, locked: isSeasonLocked(config) };
+}
+
+// Sets req.seasonYear from `?season=YYYY`, defaulting to the current season.
+export async function seasonMiddleware(req, res, next) {
+  try {
+    req.seasonYear = Number(req.query.season) || (await currentSeasonYear());
+    return next();
+  } catch {
+    return res.status(500).json({ error: "DB error" });
+  }
+}
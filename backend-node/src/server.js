@@ -10,9 +10,12 @@ import teamsRoutes from "./routes/teams.js";
 import publicTeamsRoutes from "./routes/publicTeams.js";
 import ridersRoutes from "./routes/riders.js";
 import leaderboardRoutes from "./routes/leaderboard.js";
+import leaguesRoutes from "./routes/leagues.js";
 import historyRoutes from "./routes/history.js";
+import seasonsRoutes from "./routes/seasons.js";
 import racesRoutes from "./routes/races.js";
 import adminRoutes from "./routes/admin.js";
+import { resumePendingDeliveries } from "./webhooks.js";
 
 const app = express();
 
@@ -28,7 +31,9 @@ app.use("/api/users", teamsRoutes); // /me/team under /api/users
 app.use("/api/teams", publicTeamsRoutes);
 app.use("/api/riders", ridersRoutes);
 app.use("/api/leaderboard", leaderboardRoutes);
+app.use("/api/leagues", leaguesRoutes);
 app.use("/api/history", historyRoutes);
+app.use("/api/seasons", seasonsRoutes);
 app.use("/api/races", racesRoutes);
 app.use("/api/admin", adminRoutes);
 
@@ -41,6 +46,13 @@ app.use((err, _req, res, _next) => {
 app.listen(env.port, () => {
   // eslint-disable-next-line no-console
   console.log(`Megabike API listening on :${env.port}`);
+  resumePendingDeliveries()
+    .then((count) => {
+      // eslint-disable-next-line no-console
+      if (count) console.log(`Resumed ${count} pending webhook deliveries`);
+    })
+    // eslint-disable-next-line no-console
+    .catch((err) => console.error("Could not resume webhook deliveries", err));
 });
 
 
@@ -0,0 +1,303 @@
+import { supabase } from "./supabase.js";
+import { PAGE_SIZE, fetchAll } from "./utils.js";
+import { loadRosterStints, stintCovers } from "./transfers.js";
+
+// Competition ranking ("1, 2, 2, 4"): teams on equal points share a rank.
+export function rankByPoints(rows) {
+  const sorted = [...rows].sort((a, b) => b.points - a.points);
+  let rank = 0;
+  return sorted.map((row, idx) => {
+    if (idx === 0 || row.points !== sorted[idx - 1].points) rank = idx + 1;
+    return { ...row, rank };
+  });
+}
+
+/**
+ * Rebuild the standings snapshot of every scored race in the season by replaying race_results
+ * in date order. Rebuilding everything (instead of appending the latest race) keeps earlier
+ * snapshots right when an admin corrects or back-fills a race.
+ */
+export async function snapshotSeasonStandings(seasonYear) {
+  const { data: races, error: racesErr } = await supabase
+    .from("races")
+    .select("id, race_date")
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`)
+    .order("race_date", { ascending: true });
+  if (racesErr) throw racesErr;
+
+  const raceIds = (races ?? []).map((r) => r.id);
+  const results = raceIds.length
+    ? await fetchAll(["race_id", "rider_id"], () =>
+        supabase.from("race_results").select("race_id, rider_id, points_awarded").in("race_id", raceIds)
+      )
+    : [];
+
+  const { data: teams, error: teamsErr } = await supabase
+    .from("teams")
+    .select("id")
+    .eq("season_year", seasonYear);
+  if (teamsErr) throw teamsErr;
+
+  const teamIds = (teams ?? []).map((t) => t.id);
+  const stintsByTeam = await loadRosterStints(teamIds);
+
+  // rider -> [{ teamId, stint }]: transferred riders only score for the dates they held the slot.
+  const teamsByRider = new Map();
+  for (const [teamId, stints] of stintsByTeam) {
+    for (const stint of stints) {
+      if (!teamsByRider.has(stint.riderId)) teamsByRider.set(stint.riderId, []);
+      teamsByRider.get(stint.riderId).push({ teamId, stint });
+    }
+  }
+  const resultsByRace = new Map();
+  for (const row of results) {
+    if (!resultsByRace.has(row.race_id)) resultsByRace.set(row.race_id, []);
+    resultsByRace.get(row.race_id).push(row);
+  }
+
+  const cumulative = new Map(teamIds.map((id) => [id, 0]));
+  const scoredRaceIds = [];
+
+  for (const race of races ?? []) {
+    const raceResults = resultsByRace.get(race.id);
+    if (!raceResults?.length) continue;
+    scoredRaceIds.push(race.id);
+
+    for (const r of raceResults) {
+      for (const { teamId, stint } of teamsByRider.get(r.rider_id) ?? []) {
+        if (!stintCovers(stint, race.race_date)) continue;
+        cumulative.set(teamId, cumulative.get(teamId) + (r.points_awarded ?? 0));
+      }
+    }
+
+    const { data: snapshot, error: snapErr } = await supabase
+      .from("leaderboard_snapshots")
+      .upsert(
+        { season_year: seasonYear, race_id: race.id, race_date: race.race_date },
+        { onConflict: "race_id" }
+      )
+      .select("id")
+      .single();
+    if (snapErr) throw snapErr;
+
+    const { error: deleteErr } = await supabase
+      .from("leaderboard_snapshot_rows")
+      .delete()
+      .eq("snapshot_id", snapshot.id);
+    if (deleteErr) throw deleteErr;
+
+    const rows = rankByPoints(teamIds.map((teamId) => ({ teamId, points: cumulative.get(teamId) }))).map(
+      (r) => ({ snapshot_id: snapshot.id, team_id: r.teamId, rank: r.rank, points: r.points })
+    );
+    for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+      const { error } = await supabase.from("leaderboard_snapshot_rows").insert(rows.slice(i, i + PAGE_SIZE));
+      if (error) throw error;
+    }
+  }
+
+  // Races that lost their results (or moved season) no longer have standings.
+  const { data: existing, error: existingErr } = await supabase
+    .from("leaderboard_snapshots")
+    .select("id, race_id")
+    .eq("season_year", seasonYear);
+  if (existingErr) throw existingErr;
+  const stale = (existing ?? []).filter((s) => !scoredRaceIds.includes(s.race_id)).map((s) => s.id);
+  if (stale.length) {
+    const { error } = await supabase.from("leaderboard_snapshots").delete().in("id", stale);
+    if (error) throw error;
+  }
+
+  return scoredRaceIds.length;
+}
+
+// Ranks within a snapshot, optionally re-ranked among a subset of teams (e.g. a league).
+async function loadSnapshotRanks(snapshotId, teamIds = null) {
+  const rows = await fetchAll("team_id", () =>
+    supabase.from("leaderboard_snapshot_rows").select("team_id, points").eq("snapshot_id", snapshotId)
+  );
+  const subset = teamIds ? rows.filter((r) => teamIds.includes(r.team_id)) : rows;
+  const ranked = rankByPoints(subset.map((r) => ({ teamId: r.team_id, points: r.points })));
+  return new Map(ranked.map((r) => [r.teamId, r]));
+}
+
+function movement(latest, previous) {
+  const out = new Map();
+  for (const [teamId, row] of latest) {
+    const prev = previous?.get(teamId);
+    out.set(teamId, {
+      rank: row.rank,
+      points: row.points,
+      previousRank: prev?.rank ?? null,
+      rankChange: prev ? prev.rank - row.rank : null,
+      // Points scored in this race (the first snapshot of a season has nothing to subtract).
+      gained: row.points - (prev?.points ?? 0),
+    });
+  }
+  return out;
+}
+
+/**
+ * Rank movement between the two most recent snapshots of the season.
+ * Returns Map teamId -> { rank, points, previousRank, rankChange } (rankChange > 0 = climbed).
+ */
+export async function loadRankMovement(seasonYear, teamIds = null) {
+  const { data: snaps, error } = await supabase
+    .from("leaderboard_snapshots")
+    .select("id")
+    .eq("season_year", seasonYear)
+    .order("race_date", { ascending: false })
+    .limit(2);
+  if (error) throw error;
+  if (!snaps?.length) return new Map();
+
+  const latest = await loadSnapshotRanks(snaps[0].id, teamIds);
+  const previous = snaps[1] ? await loadSnapshotRanks(snaps[1].id, teamIds) : null;
+  return movement(latest, previous);
+}
+
+/**
+ * Season standings as the leaderboard shows them: teams by points (top 200) with their rank change
+ * since the previous race (null = no earlier snapshot for the team).
+ */
+export async function currentStandings(seasonYear) {
+  const { data, error } = await supabase
+    .from("teams")
+    .select("id, team_name, points, users(display_name)")
+    .eq("season_year", seasonYear)
+    .order("points", { ascending: false })
+    .order("id", { ascending: true })
+    .limit(200);
+  if (error) throw error;
+
+  const moves = await loadRankMovement(seasonYear);
+  return (data ?? []).map((t) => ({
+    id: t.id,
+    teamName: t.team_name,
+    points: t.points ?? 0,
+    ownerName: t.users?.display_name,
+    rankChange: moves.get(t.id)?.rankChange ?? null,
+  }));
+}
+
+/**
+ * Points each team scored in each of `races` ([{ id, date }]): the race's results against the riders
+ * the team held on race day (transfers applied). Needs no snapshot, so races the Python worker scored
+ * count as soon as their results are stored. Returns Map raceId -> Map teamId -> points (scorers only).
+ */
+export async function raceTeamGains(seasonYear, races) {
+  const dated = races.filter((r) => r.id && r.date);
+  if (!dated.length) return new Map();
+
+  const teams = await fetchAll("id", () => supabase.from("teams").select("id").eq("season_year", seasonYear));
+  const stintsByTeam = await loadRosterStints(teams.map((t) => t.id));
+  const results = await fetchAll(["race_id", "rider_id"], () =>
+    supabase
+      .from("race_results")
+      .select("race_id, rider_id, points_awarded")
+      .in("race_id", dated.map((r) => r.id))
+  );
+
+  const stintsByRider = new Map();
+  for (const [teamId, stints] of stintsByTeam) {
+    for (const stint of stints) {
+      if (!stintsByRider.has(stint.riderId)) stintsByRider.set(stint.riderId, []);
+      stintsByRider.get(stint.riderId).push({ teamId, stint });
+    }
+  }
+  const dateByRace = new Map(dated.map((r) => [r.id, r.date]));
+  const gains = new Map(dated.map((r) => [r.id, new Map()]));
+  for (const r of results) {
+    const byTeam = gains.get(r.race_id);
+    for (const { teamId, stint } of stintsByRider.get(r.rider_id) ?? []) {
+      if (!stintCovers(stint, dateByRace.get(r.race_id)) || !r.points_awarded) continue;
+      byTeam.set(teamId, (byTeam.get(teamId) ?? 0) + r.points_awarded);
+    }
+  }
+  return gains;
+}
+
+// Team names and owners: Map teamId -> { teamName, ownerName }.
+export async function loadTeamLabels(teamIds) {
+  const teams = teamIds.length
+    ? await fetchAll("id", () =>
+        supabase
+          .from("teams")
+          .select("id, team_name, users(display_name)")
+          .in("id", teamIds)
+      )
+    : [];
+  return new Map(teams.map((t) => [t.id, { teamName: t.team_name ?? null, ownerName: t.users?.display_name ?? null }]));
+}
+
+/**
+ * Team that scored the most in each of `races` ([{ id, date }]), from race-day rosters.
+ * Returns Map raceId -> { teamId, teamName, ownerName, points, tied } (tied = other teams on the same points).
+ */
+export async function raceTopScorers(seasonYear, races) {
+  const gains = await raceTeamGains(seasonYear, races);
+
+  const best = new Map();
+  for (const [raceId, byTeam] of gains) {
+    let top = null;
+    for (const [teamId, points] of byTeam) {
+      if (!top || points > top.points) top = { teamId, points, tied: 0 };
+      else if (points === top.points) top.tied += 1;
+    }
+    if (top) best.set(raceId, top);
+  }
+
+  const labels = await loadTeamLabels(Array.from(new Set(Array.from(best.values()).map((t) => t.teamId))));
+  for (const top of best.values()) {
+    top.teamName = labels.get(top.teamId)?.teamName ?? null;
+    top.ownerName = labels.get(top.teamId)?.ownerName ?? null;
+  }
+  return best;
+}
+
+/**
+ * Standings as they were right after a race, with movement versus the race before it.
+ * Returns null if the race has no snapshot (not scored yet).
+ */
+export async function standingsAfterRace(raceId) {
+  const { data: snap, error } = await supabase
+    .from("leaderboard_snapshots")
+    .select("id, season_year, race_date, races(id, name, race_date)")
+    .eq("race_id", raceId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!snap) return null;
+
+  const { data: prevSnap, error: prevErr } = await supabase
+    .from("leaderboard_snapshots")
+    .select("id")
+    .eq("season_year", snap.season_year)
+    .lt("race_date", snap.race_date)
+    .order("race_date", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (prevErr) throw prevErr;
+
+  const latest = await loadSnapshotRanks(snap.id);
+  const previous = prevSnap ? await loadSnapshotRanks(prevSnap.id) : null;
+  const moves = movement(latest, previous);
+
+  const teamIds = Array.from(latest.keys());
+  const teams = teamIds.length
+    ? await fetchAll("id", () => supabase.from("teams").select("id, team_name, users(display_name)").in("id", teamIds))
+    : [];
+  const teamById = new Map(teams.map((t) => [t.id, t]));
+
+  return {
+    season: snap.season_year,
+    race: { id: snap.races?.id ?? raceId, name: snap.races?.name, date: snap.races?.race_date },
+    teams: Array.from(moves.entries())
+      .map(([teamId, m]) => ({
+        id: teamId,
+        teamName: teamById.get(teamId)?.team_name,
+        ownerName: teamById.get(teamId)?.users?.display_name,
+        ...m,
+      }))
+      .sort((a, b) => a.rank - b.rank),
+  };
+}
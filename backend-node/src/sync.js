@@ -0,0 +1,204 @@
+import { supabase } from "./supabase.js";
+import { PAGE_SIZE, fetchAll } from "./utils.js";
+import { loadRosterStints, loadSeasonResults, scoreStints } from "./transfers.js";
+import { isMegabikeRace, pointsForTier, raceKey, raceTier } from "megabike-scoring";
+
+// Server-side port of the scoring half of ingest/daily_sync.py: results come in already parsed
+// (JSON or CSV), so nothing here talks to PCS.
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function raceSlugFor(raceKey, seasonYear) {
+  return `race/${raceKey}/${seasonYear}`;
+}
+
+export function normalizeRiderSlug(slug) {
+  const s = String(slug ?? "").trim().replace(/^\/+/, "");
+  return s.startsWith("rider/") ? s : `rider/${s}`;
+}
+
+// CSV rows ({ race, rank, rider_slug, rider_name?, race_name?, race_date? }) -> sync payload races.
+export function racesFromCsvRows(rows) {
+  const byRace = new Map();
+  for (const row of rows) {
+    const key = row.race || row.race_slug;
+    if (!key) continue;
+    if (!byRace.has(key)) byRace.set(key, { race: key, results: [] });
+    const race = byRace.get(key);
+    if (row.race_name && !race.name) race.name = row.race_name;
+    if (row.race_date && !race.date) race.date = row.race_date;
+    race.results.push({
+      rank: Number(row.rank),
+      rider_slug: row.rider_slug || row.rider,
+      rider_name: row.rider_name || undefined,
+    });
+  }
+  return Array.from(byRace.values());
+}
+
+// Races that are not Megabike races (or not in `allowedKeys`, e.g. the season's calendar).
+export function unknownRaces(races, allowedKeys = null) {
+  return races
+    .map((r) => r.race)
+    .filter((race) => !isMegabikeRace(race) || (allowedKeys && !allowedKeys.includes(raceKey(race))));
+}
+
+async function resolveRiderIds(results) {
+  const slugs = Array.from(new Set(results.map((r) => normalizeRiderSlug(r.rider_slug))));
+  const idBySlug = new Map();
+  if (slugs.length === 0) return idBySlug;
+
+  const { data: found, error } = await supabase
+    .from("riders")
+    .select("id, pcs_slug")
+    .in("pcs_slug", slugs);
+  if (error) throw error;
+  for (const r of found ?? []) idBySlug.set(r.pcs_slug, r.id);
+
+  // Unknown riders can only be created when the payload gives us a name for them.
+  const toCreate = [];
+  for (const r of results) {
+    const slug = normalizeRiderSlug(r.rider_slug);
+    if (idBySlug.has(slug) || !r.rider_name) continue;
+    if (toCreate.some((x) => x.pcs_slug === slug)) continue;
+    toCreate.push({ pcs_slug: slug, rider_name: r.rider_name.trim(), active: true });
+  }
+  if (toCreate.length) {
+    const { data: created, error: createErr } = await supabase
+      .from("riders")
+      .upsert(toCreate, { onConflict: "pcs_slug" })
+      .select("id, pcs_slug");
+    if (createErr) throw createErr;
+    for (const r of created ?? []) idBySlug.set(r.pcs_slug, r.id);
+  }
+
+  return idBySlug;
+}
+
+/**
+ * Upsert one race and replace its results, scored with the Megabike tier tables.
+ * Replacing (rather than upserting) results lets an admin correct a race by re-sending it.
+ */
+export async function syncRace(seasonYear, race) {
+  const key = raceKey(race.race);
+  const tier = raceTier(key);
+  if (tier === null) throw badRequest(`Unknown race: ${race.race}`);
+
+  const pcsSlug = raceSlugFor(key, seasonYear);
+  const { data: existing, error: existingErr } = await supabase
+    .from("races")
+    .select("id, name, race_date")
+    .eq("pcs_slug", pcsSlug)
+    .maybeSingle();
+  if (existingErr) throw existingErr;
+
+  const raceDate = race.date ?? existing?.race_date;
+  if (!raceDate) throw badRequest(`Missing date for race ${key}.`);
+
+  const { data: raceRow, error: raceErr } = await supabase
+    .from("races")
+    .upsert(
+      { pcs_slug: pcsSlug, name: race.name ?? existing?.name ?? key, race_date: raceDate },
+      { onConflict: "pcs_slug" }
+    )
+    .select("id, name, race_date")
+    .single();
+  if (raceErr) throw raceErr;
+
+  const idBySlug = await resolveRiderIds(race.results);
+
+  // One row per rider (best rank wins if a rider is listed twice).
+  const byRider = new Map();
+  const skipped = [];
+  for (const r of race.results) {
+    const slug = normalizeRiderSlug(r.rider_slug);
+    const riderId = idBySlug.get(slug);
+    if (!riderId || !Number.isInteger(r.rank) || r.rank < 1) {
+      skipped.push(slug);
+      continue;
+    }
+    const prev = byRider.get(riderId);
+    if (!prev || r.rank < prev.rank) {
+      byRider.set(riderId, {
+        race_id: raceRow.id,
+        rider_id: riderId,
+        rank: r.rank,
+        points_awarded: pointsForTier(tier, r.rank),
+      });
+    }
+  }
+
+  const { error: deleteErr } = await supabase.from("race_results").delete().eq("race_id", raceRow.id);
+  if (deleteErr) throw deleteErr;
+
+  const rows = Array.from(byRider.values());
+  if (rows.length) {
+    const { error: insertErr } = await supabase.from("race_results").insert(rows);
+    if (insertErr) throw insertErr;
+  }
+
+  return {
+    race: key,
+    raceId: raceRow.id,
+    name: raceRow.name,
+    date: raceRow.race_date,
+    tier,
+    results: rows.length,
+    skipped,
+  };
+}
+
+/**
+ * Idempotent recompute of rider_points (sum of race_results in the season) and teams.points.
+ */
+export async function recomputeSeasonPoints(seasonYear) {
+  const results = await loadSeasonResults(seasonYear);
+  const raceIds = new Set(results.map((r) => r.race_id));
+
+  const totals = new Map();
+  for (const row of results) {
+    totals.set(row.rider_id, (totals.get(row.rider_id) ?? 0) + (row.points_awarded ?? 0));
+  }
+
+  // Riders that lost all their points after a correction must drop back to 0.
+  const previous = await fetchAll("rider_id", () =>
+    supabase.from("rider_points").select("rider_id").eq("season_year", seasonYear)
+  );
+  for (const row of previous) {
+    if (!totals.has(row.rider_id)) totals.set(row.rider_id, 0);
+  }
+
+  const pointsRows = Array.from(totals.entries()).map(([riderId, points]) => ({
+    season_year: seasonYear,
+    rider_id: riderId,
+    points,
+  }));
+  for (let i = 0; i < pointsRows.length; i += PAGE_SIZE) {
+    const { error } = await supabase
+      .from("rider_points")
+      .upsert(pointsRows.slice(i, i + PAGE_SIZE), { onConflict: "season_year,rider_id" });
+    if (error) throw error;
+  }
+
+  const { data: teams, error: teamsErr } = await supabase
+    .from("teams")
+    .select("id")
+    .eq("season_year", seasonYear);
+  if (teamsErr) throw teamsErr;
+
+  // Team points follow the transfer log: a rider only scores for the team while holding a slot.
+  const teamIds = (teams ?? []).map((t) => t.id);
+  const stintsByTeam = await loadRosterStints(teamIds);
+
+  for (const teamId of teamIds) {
+    const { total } = scoreStints(stintsByTeam.get(teamId), results);
+    const { error } = await supabase.from("teams").update({ points: total }).eq("id", teamId);
+    if (error) throw error;
+  }
+
+  return { races: raceIds.size, riders: pointsRows.length, teams: teamIds.length };
+}
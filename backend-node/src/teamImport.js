@@ -0,0 +1,180 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+import { getSeasonConfig } from "./seasons.js";
+import { insertTeam, validateRoster } from "./rosters.js";
+import { loadRiderMatcher } from "./riderMatch.js";
+import { generateAccessCodes } from "./accessCodes.js";
+
+function importError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Rows of one team, in roster order: the `position` column when every row has one, CSV order otherwise.
+function groupTeams(rows) {
+  const teams = new Map();
+  rows.forEach((row, idx) => {
+    const teamName = (row.team_name ?? "").trim();
+    const owner = (row.owner ?? "").trim();
+    const key = `${teamName.toLowerCase()}\u0000${owner.toLowerCase()}`;
+    if (!teams.has(key)) teams.set(key, { teamName, owner, rows: [] });
+    const position = Number(row.position);
+    teams.get(key).rows.push({
+      row: idx + 1,
+      position: row.position?.trim() && Number.isInteger(position) && position > 0 ? position : null,
+      slug: (row.standardized_rider ?? "").trim(),
+      input: (row.original_name || row.rider_name || "").trim(),
+    });
+  });
+
+  for (const team of teams.values()) {
+    if (team.rows.every((r) => r.position !== null)) team.rows.sort((a, b) => a.position - b.position || a.row - b.row);
+  }
+  return [...teams.values()];
+}
+
+/**
+ * Check a team sign-up CSV (team_name, owner, position, original_name, standardized_rider — the format
+ * of references/teams_cleaned_mapped.csv) against the season: riders are matched to `riders` by pcs slug
+ * or fuzzily by name, rosters go through the same rules as POST /me/team, and owners are matched to
+ * existing users by display name (case-insensitive) or will be created with a new access code.
+ *
+ * Returns a report with, per team, its status, errors and one entry per CSV row (`row` counts data rows,
+ * blank lines excluded). With `commit` and only valid teams, the users, access codes and teams are
+ * created too; the report then carries each team's id and the codes to hand out. Throws an error with
+ * `status` 400 for an unusable CSV and 409 for a finished season; DB errors are thrown as is.
+ */
+export async function importTeams(seasonYear, rows, { commit = false } = {}) {
+  if (!rows.length || !("team_name" in rows[0]) || !("owner" in rows[0])) {
+    throw importError(400, "CSV needs team_name and owner columns.");
+  }
+  if (!("standardized_rider" in rows[0]) && !("original_name" in rows[0]) && !("rider_name" in rows[0])) {
+    throw importError(400, "CSV needs a standardized_rider, original_name or rider_name column.");
+  }
+
+  const config = await getSeasonConfig(seasonYear);
+  if (config.status === "finished") throw importError(409, `Season ${seasonYear} is finished.`);
+
+  const match = await loadRiderMatcher();
+  const users = await fetchAll("id", () => supabase.from("users").select("id, display_name"));
+  const seasonTeams = await fetchAll("id", () =>
+    supabase.from("teams").select("id, user_id").eq("season_year", seasonYear)
+  );
+  const usersWithTeam = new Set(seasonTeams.map((t) => t.user_id));
+
+  const groups = groupTeams(rows);
+  const teamsByOwner = new Map();
+  for (const g of groups) {
+    const owner = g.owner.toLowerCase();
+    teamsByOwner.set(owner, (teamsByOwner.get(owner) ?? 0) + 1);
+  }
+
+  const teams = [];
+  for (const group of groups) {
+    const errors = [];
+    if (!group.teamName) errors.push("Missing team name.");
+    if (!group.owner) errors.push("Missing owner.");
+    if (group.owner && teamsByOwner.get(group.owner.toLowerCase()) > 1) {
+      errors.push(`${group.owner} owns several teams in this CSV.`);
+    }
+
+    const seen = new Set();
+    for (const r of group.rows) {
+      if (r.position === null) continue;
+      if (seen.has(r.position)) errors.push(`Position ${r.position} appears twice.`);
+      seen.add(r.position);
+    }
+
+    const namesake = users.filter((u) => u.display_name.trim().toLowerCase() === group.owner.toLowerCase());
+    const user = namesake.length === 1 ? namesake[0] : null;
+    if (namesake.length > 1) errors.push(`Several users are named ${group.owner}.`);
+    if (user && usersWithTeam.has(user.id)) errors.push(`${group.owner} already has a team in ${seasonYear}.`);
+
+    const riders = group.rows.map((r, idx) => {
+      const found = match({ slug: r.slug, name: r.input });
+      if (found.status === "unmatched") errors.push(`Row ${r.row}: no rider matches "${r.input || r.slug}".`);
+      if (found.status === "ambiguous") errors.push(`Row ${r.row}: "${r.input || r.slug}" matches several riders.`);
+      return {
+        row: r.row,
+        slot: idx + 1,
+        input: r.input,
+        slug: r.slug || null,
+        status: found.status,
+        score: Math.round(found.score * 100) / 100,
+        match: found.rider ? { riderId: found.rider.id, rider_name: found.rider.rider_name, price: null } : null,
+        candidates: found.status === "matched" ? [] : found.candidates,
+      };
+    });
+
+    let checked = null;
+    if (riders.every((r) => r.match)) {
+      // By id: the matched rider is the one the report shows, even when another rider has the same name.
+      const picks = riders.map((r) => ({ rider_id: r.match.riderId, rider_name: r.match.rider_name }));
+      checked = await validateRoster({ teamName: group.teamName, riders: picks }, config);
+      if (checked.ok) {
+        for (const [idx, entry] of checked.roster.entries()) riders[idx].match.price = entry.price;
+      } else {
+        errors.push(checked.error);
+      }
+    }
+
+    teams.push({
+      teamName: group.teamName,
+      owner: group.owner,
+      user: user
+        ? { id: user.id, displayName: user.display_name, existing: true }
+        : { id: null, displayName: group.owner, existing: false },
+      status: errors.length ? "invalid" : "ok",
+      errors,
+      totalCost: checked?.ok ? checked.totalCost : null,
+      riders,
+      checked,
+    });
+  }
+
+  const valid = teams.every((t) => t.status === "ok");
+  if (commit && valid) await createTeams(seasonYear, teams);
+
+  return {
+    season: seasonYear,
+    dryRun: !commit,
+    committed: commit && valid,
+    summary: {
+      teams: teams.length,
+      valid: teams.filter((t) => t.status === "ok").length,
+      invalid: teams.filter((t) => t.status !== "ok").length,
+      newUsers: teams.filter((t) => !t.user.existing).length,
+    },
+    teams: teams.map(({ checked, ...team }) => team),
+  };
+}
+
+// Teams are created one after the other; after a DB error the ones already created stay, and a new
+// dry run reports them as existing.
+async function createTeams(seasonYear, teams) {
+  const newUsers = teams.filter((t) => !t.user.existing);
+  const codes = newUsers.length ? await generateAccessCodes({ count: newUsers.length, prefix: "MB-", length: 10 }) : [];
+
+  for (const [idx, team] of newUsers.entries()) {
+    const code = codes[idx];
+    const { data: user, error } = await supabase
+      .from("users")
+      .insert({ access_code_id: code.id, display_name: team.owner })
+      .select("id, display_name")
+      .single();
+    if (error) throw error;
+    const { error: assignErr } = await supabase
+      .from("access_codes")
+      .update({ assigned_user_id: user.id })
+      .eq("id", code.id);
+    if (assignErr) throw assignErr;
+    team.user = { id: user.id, displayName: user.display_name, existing: false, accessCode: code.code };
+  }
+
+  for (const team of teams) {
+    const created = await insertTeam(team.user.id, seasonYear, team.checked);
+    team.teamId = created.id;
+    team.points = created.points;
+  }
+}
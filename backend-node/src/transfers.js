@@ -0,0 +1,131 @@
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+
+// A race belongs to the incoming rider from the day after the transfer: races on the transfer day
+// (e.g. the one that closed before the window opened) stay with the outgoing rider.
+export function effectiveFromDate(transferredAt) {
+  const d = new Date(transferredAt);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Who held each slot when. Returns [{ slot, riderId, from, to }] where from (inclusive) and
+ * to (exclusive) are race dates, null meaning open-ended. Without transfers there is one stint
+ * per current rider; each transfer ends the outgoing rider's stint and starts the incoming one.
+ */
+export function rosterStints(roster, transfers = []) {
+  const bySlot = new Map();
+  for (const t of [...transfers].sort((a, b) => a.transferred_at.localeCompare(b.transferred_at))) {
+    if (!bySlot.has(t.slot)) bySlot.set(t.slot, []);
+    bySlot.get(t.slot).push(t);
+  }
+
+  const stints = [];
+  for (const row of [...roster].sort((a, b) => a.slot - b.slot)) {
+    const chain = bySlot.get(row.slot) ?? [];
+    let from = null;
+    for (const t of chain) {
+      stints.push({ slot: row.slot, riderId: t.rider_out_id, from, to: t.effective_from });
+      from = t.effective_from;
+    }
+    stints.push({ slot: row.slot, riderId: row.rider_id, from, to: null });
+  }
+  return stints;
+}
+
+export function stintCovers(stint, raceDate) {
+  return (!stint.from || raceDate >= stint.from) && (!stint.to || raceDate < stint.to);
+}
+
+// Map teamId -> stints, from the current roster plus the transfer log.
+export async function loadRosterStints(teamIds) {
+  if (!teamIds.length) return new Map();
+  const roster = await fetchAll(["team_id", "slot"], () =>
+    supabase.from("team_riders").select("team_id, rider_id, slot").in("team_id", teamIds)
+  );
+  const transfers = await fetchAll("id", () =>
+    supabase
+      .from("team_transfers")
+      .select("team_id, slot, rider_out_id, rider_in_id, transferred_at, effective_from")
+      .in("team_id", teamIds)
+  );
+
+  const out = new Map();
+  for (const teamId of teamIds) {
+    out.set(
+      teamId,
+      rosterStints(
+        roster.filter((r) => r.team_id === teamId),
+        transfers.filter((t) => t.team_id === teamId)
+      )
+    );
+  }
+  return out;
+}
+
+// Scored results of the season with their race date, optionally limited to some riders.
+export async function loadSeasonResults(seasonYear, riderIds = null) {
+  const { data: races, error } = await supabase
+    .from("races")
+    .select("id, race_date")
+    .gte("race_date", `${seasonYear}-01-01`)
+    .lte("race_date", `${seasonYear}-12-31`);
+  if (error) throw error;
+
+  const raceIds = (races ?? []).map((r) => r.id);
+  if (!raceIds.length || (riderIds && !riderIds.length)) return [];
+  const dateByRace = new Map(races.map((r) => [r.id, r.race_date]));
+
+  const rows = await fetchAll(["race_id", "rider_id"], () => {
+    let q = supabase.from("race_results").select("race_id, rider_id, rank, points_awarded").in("race_id", raceIds);
+    if (riderIds) q = q.in("rider_id", riderIds);
+    return q;
+  });
+  return rows.map((r) => ({ ...r, race_date: dateByRace.get(r.race_id) }));
+}
+
+// Points each stint earned for its team; total is the team's season score.
+export function scoreStints(stints, results) {
+  const byRider = new Map();
+  for (const r of results) {
+    if (!byRider.has(r.rider_id)) byRider.set(r.rider_id, []);
+    byRider.get(r.rider_id).push(r);
+  }
+  const scored = stints.map((s) => ({
+    ...s,
+    points: (byRider.get(s.riderId) ?? [])
+      .filter((r) => stintCovers(s, r.race_date))
+      .reduce((sum, r) => sum + (r.points_awarded ?? 0), 0),
+  }));
+  return { total: scored.reduce((sum, s) => sum + s.points, 0), stints: scored };
+}
+
+// Season score of one team, honouring its transfers.
+export async function loadTeamScore(teamId, seasonYear) {
+  const stints = (await loadRosterStints([teamId])).get(teamId);
+  const results = await loadSeasonResults(seasonYear, [...new Set(stints.map((s) => s.riderId))]);
+  return scoreStints(stints, results);
+}
+
+// The window open at `now` for the season, else the next one to open (null if none).
+export async function getTransferWindow(seasonYear, now = new Date()) {
+  const { data, error } = await supabase
+    .from("transfer_windows")
+    .select("id, season_year, name, opens_at, closes_at, max_transfers")
+    .eq("season_year", seasonYear)
+    .gt("closes_at", now.toISOString())
+    .order("opens_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return {
+    id: data.id,
+    name: data.name,
+    opensAt: data.opens_at,
+    closesAt: data.closes_at,
+    maxTransfers: data.max_transfers,
+    open: new Date(data.opens_at) <= now,
+  };
+}
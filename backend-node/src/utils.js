@@ -1,3 +1,5 @@
+import crypto from "node:crypto";
+
 export function nowSeasonYear() {
   return new Date().getFullYear();
 }
@@ -8,4 +10,100 @@ export function pick(obj, keys) {
   return out;
 }
 
+// PostgREST caps responses (1000 rows by default); page through with .range().
+export const PAGE_SIZE = 1000;
+
+/**
+ * All rows of a query, page by page. Pages only line up under a total order, so `orderBy` is required:
+ * columns that together are unique ("id", or ["race_id", "rider_id"]), applied ascending after any
+ * order the query already has. Without it rows can repeat or go missing past the first page.
+ */
+export async function fetchAll(orderBy, buildQuery) {
+  const columns = [orderBy].flat().filter(Boolean);
+  if (!columns.length || typeof buildQuery !== "function") throw new Error("fetchAll needs a unique order");
+  const out = [];
+  for (let start = 0; ; start += PAGE_SIZE) {
+    let query = buildQuery();
+    for (const column of columns) query = query.order(column, { ascending: true });
+    const { data, error } = await query.range(start, start + PAGE_SIZE - 1);
+    if (error) throw error;
+    out.push(...(data ?? []));
+    if ((data ?? []).length < PAGE_SIZE) return out;
+  }
+}
+
+// No 0/O/1/I: codes are read aloud and typed by hand.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function randomCode(length = 8) {
+  const bytes = crypto.randomBytes(length);
+  let out = "";
+  for (const b of bytes) out += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  return out;
+}
+
+// Minimal RFC 4180 CSV reader (quoted fields, "" escapes). Returns rows keyed by lower-cased header.
+export function parseCsv(text) {
+  const records = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      records.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((v) => v.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map((h) => h.trim().toLowerCase());
+  return nonEmpty.slice(1).map((r) => {
+    const out = {};
+    header.forEach((h, idx) => {
+      out[h] = (r[idx] ?? "").trim();
+    });
+    return out;
+  });
+}
 
+// Text starting with = + - @ tab or CR runs as a formula in Excel/Sheets; a leading ' keeps it text.
+// Only strings are escaped so negative numbers stay numeric.
+function csvField(value) {
+  let s = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV writer for exports: columns [{ key, header }] (header defaults to key), CRLF line endings.
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => csvField(c.header ?? c.key)).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvField(row[c.key])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,301 @@
+import crypto from "node:crypto";
+import { z } from "zod";
+import { raceKey, raceTier } from "megabike-scoring";
+import { supabase } from "./supabase.js";
+import { fetchAll } from "./utils.js";
+import { standingsAfterRace } from "./standings.js";
+
+export const SIGNATURE_HEADER = "x-megabike-signature";
+export const MAX_ATTEMPTS = 4;
+const BACKOFF_MS = 2000;
+const TIMEOUT_MS = 10000;
+const TOP_RIDERS = 5;
+const TOP_TEAMS = 5;
+const LEADERBOARD_SIZE = 10;
+
+export const webhookSchema = z
+  .object({
+    url: z
+      .string()
+      .url()
+      .refine((u) => /^https?:\/\//i.test(u), { message: "url must be http(s)" }),
+    description: z.string().max(200).optional(),
+    // Generated when omitted; receivers need it to check signatures.
+    secret: z.string().min(16).max(200).optional(),
+  })
+  .strict();
+
+// `sha256=<hex>` HMAC of the raw body, so receivers can check a payload came from us.
+export function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+/**
+ * POST a signed JSON body once. Returns { ok, retryable, status, error }: network errors, timeouts,
+ * 429 and 5xx answers are worth retrying, any other answer is final.
+ */
+export async function postSigned(url, secret, { event, deliveryId, body }) {
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "megabike-webhooks",
+    "x-megabike-event": event,
+    "x-megabike-delivery": deliveryId,
+    [SIGNATURE_HEADER]: signPayload(secret, body),
+  };
+
+  try {
+    const res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    await res.body?.cancel();
+    if (res.ok) return { ok: true, retryable: false, status: res.status, error: null };
+    const retryable = res.status >= 500 || res.status === 429;
+    return { ok: false, retryable, status: res.status, error: `HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, retryable: true, status: null, error: err?.message ?? String(err) };
+  }
+}
+
+function toWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+  };
+}
+
+const DELIVERY_COLUMNS = "id, webhook_id, event, status, attempts, response_status, error, created_at, delivered_at";
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+  };
+}
+
+// The secret is only returned here: it is stored for signing and never listed again.
+export async function createWebhook({ url, description, secret }) {
+  const { data, error } = await supabase
+    .from("webhooks")
+    .insert({ url, description: description ?? null, secret: secret ?? crypto.randomBytes(24).toString("hex") })
+    .select("id, url, description, is_active, created_at, secret")
+    .single();
+  if (error) throw error;
+  return { ...toWebhook(data), secret: data.secret };
+}
+
+export async function listWebhooks() {
+  const { data, error } = await supabase
+    .from("webhooks")
+    .select("id, url, description, is_active, created_at")
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return (data ?? []).map(toWebhook);
+}
+
+// Returns the updated webhook, or null if it does not exist.
+export async function setWebhookActive(id, isActive) {
+  const { data, error } = await supabase
+    .from("webhooks")
+    .update({ is_active: isActive })
+    .eq("id", id)
+    .select("id, url, description, is_active, created_at")
+    .maybeSingle();
+  if (error) throw error;
+  return data ? toWebhook(data) : null;
+}
+
+// Most recent deliveries first, optionally for one webhook or one status.
+export async function listDeliveries({ webhookId, status, limit = 50 } = {}) {
+  let q = supabase
+    .from("webhook_deliveries")
+    .select(DELIVERY_COLUMNS)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (webhookId) q = q.eq("webhook_id", webhookId);
+  if (status) q = q.eq("status", status);
+  const { data, error } = await q;
+  if (error) throw error;
+  return (data ?? []).map(toDelivery);
+}
+
+function scheduleAttempt(deliveryId, delayMs) {
+  setTimeout(() => {
+    attemptDelivery(deliveryId).catch((err) => console.error(`Webhook delivery ${deliveryId} failed`, err));
+  }, Math.max(0, delayMs)).unref();
+}
+
+/**
+ * Make the next attempt of a pending delivery and record the outcome in its row; a retryable failure
+ * stays pending with its next_attempt_at and is scheduled again. The attempt is claimed first (attempts
+ * only moves on if nobody else moved it), so two API processes never send the same attempt.
+ * Returns the delivery, or null if it was no longer pending.
+ */
+async function attemptDelivery(deliveryId) {
+  const { data: row, error } = await supabase
+    .from("webhook_deliveries")
+    .select("id, event, payload, status, attempts, max_attempts, webhooks(url, secret)")
+    .eq("id", deliveryId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row || row.status !== "pending") return null;
+
+  // The process stopped during the last allowed attempt: give up rather than exceed max_attempts.
+  if (row.attempts >= row.max_attempts) {
+    const { error: giveUpErr } = await supabase
+      .from("webhook_deliveries")
+      .update({ status: "failed", next_attempt_at: null })
+      .eq("id", row.id)
+      .eq("status", "pending");
+    if (giveUpErr) throw giveUpErr;
+    return null;
+  }
+
+  const attempts = row.attempts + 1;
+  const { data: claimed, error: claimErr } = await supabase
+    .from("webhook_deliveries")
+    .update({ attempts })
+    .eq("id", row.id)
+    .eq("status", "pending")
+    .eq("attempts", row.attempts)
+    .select("id")
+    .maybeSingle();
+  if (claimErr) throw claimErr;
+  if (!claimed) return null;
+
+  const { event, sentAt, data } = row.payload;
+  const body = JSON.stringify({ id: row.id, event, sentAt, data });
+  const hook = row.webhooks;
+  const result = await postSigned(hook.url, hook.secret, { event: row.event, deliveryId: row.id, body });
+  const retry = !result.ok && result.retryable && attempts < row.max_attempts;
+  // Wait 2s, 4s, then 8s before retrying.
+  const delayMs = BACKOFF_MS * 2 ** (attempts - 1);
+  const { data: updated, error: updateErr } = await supabase
+    .from("webhook_deliveries")
+    .update({
+      status: result.ok ? "delivered" : retry ? "pending" : "failed",
+      response_status: result.status,
+      error: result.error,
+      delivered_at: result.ok ? new Date().toISOString() : null,
+      next_attempt_at: retry ? new Date(Date.now() + delayMs).toISOString() : null,
+    })
+    .eq("id", row.id)
+    .select(DELIVERY_COLUMNS)
+    .single();
+  if (updateErr) throw updateErr;
+  if (retry) scheduleAttempt(row.id, delayMs);
+  return toDelivery(updated);
+}
+
+// Log the delivery and make its first attempt; retries run in the background.
+async function deliver(hook, event, data, { maxAttempts = MAX_ATTEMPTS } = {}) {
+  const envelope = { event, sentAt: new Date().toISOString(), data };
+  const { data: row, error } = await supabase
+    .from("webhook_deliveries")
+    .insert({ webhook_id: hook.id, event, payload: envelope, max_attempts: maxAttempts })
+    .select("id")
+    .single();
+  if (error) throw error;
+  return attemptDelivery(row.id);
+}
+
+/**
+ * Schedule every delivery still pending in the log, at its next_attempt_at (right away if that has
+ * passed). Called on startup so retries survive a restart; returns how many were scheduled.
+ */
+export async function resumePendingDeliveries() {
+  const rows = await fetchAll("id", () =>
+    supabase.from("webhook_deliveries").select("id, next_attempt_at").eq("status", "pending")
+  );
+  const now = Date.now();
+  for (const row of rows) scheduleAttempt(row.id, row.next_attempt_at ? Date.parse(row.next_attempt_at) - now : 0);
+  return rows.length;
+}
+
+/**
+ * What a chat bot needs after a race is scored: the race, its best riders, the fantasy teams that
+ * gained most from it and the top of the standings right after it.
+ */
+export async function racePayload(raceId) {
+  const { data: race, error } = await supabase
+    .from("races")
+    .select("id, pcs_slug, name, race_date")
+    .eq("id", raceId)
+    .single();
+  if (error) throw error;
+
+  const { data: results, error: resultsErr } = await supabase
+    .from("race_results")
+    .select("rank, rider_id, points_awarded, riders(rider_name, team_name)")
+    .eq("race_id", raceId)
+    .order("rank", { ascending: true })
+    .limit(TOP_RIDERS);
+  if (resultsErr) throw resultsErr;
+
+  const standings = await standingsAfterRace(raceId);
+  const teams = standings?.teams ?? [];
+
+  return {
+    season: Number(race.race_date.slice(0, 4)),
+    race: {
+      id: race.id,
+      key: raceKey(race.pcs_slug),
+      name: race.name,
+      date: race.race_date,
+      tier: raceTier(race.pcs_slug),
+    },
+    topRiders: (results ?? []).map((r) => ({
+      rank: r.rank,
+      riderId: r.rider_id,
+      rider_name: r.riders?.rider_name ?? null,
+      team_name: r.riders?.team_name ?? null,
+      points: r.points_awarded ?? 0,
+    })),
+    topTeams: teams
+      .filter((t) => t.gained > 0)
+      .sort((a, b) => b.gained - a.gained || a.rank - b.rank)
+      .slice(0, TOP_TEAMS)
+      .map((t) => ({ id: t.id, teamName: t.teamName, ownerName: t.ownerName, gained: t.gained, rank: t.rank })),
+    leaderboard: teams.slice(0, LEADERBOARD_SIZE).map((t) => ({
+      rank: t.rank,
+      id: t.id,
+      teamName: t.teamName,
+      ownerName: t.ownerName,
+      points: t.points,
+      rankChange: t.rankChange,
+    })),
+  };
+}
+
+/**
+ * Send a `race.scored` event to every active webhook for each of the given races. First attempts are
+ * made in parallel and failures retried in the background; returns the deliveries after their first attempt.
+ */
+export async function notifyRacesScored(raceIds) {
+  if (!raceIds.length) return [];
+  const hooks = await fetchAll("id", () => supabase.from("webhooks").select("id, url, secret").eq("is_active", true));
+  if (!hooks.length) return [];
+
+  const deliveries = [];
+  for (const raceId of raceIds) {
+    const payload = await racePayload(raceId);
+    deliveries.push(...(await Promise.all(hooks.map((hook) => deliver(hook, "race.scored", payload)))));
+  }
+  return deliveries.filter(Boolean);
+}
+
+// A `ping` to one webhook (single attempt) so operators can check the receiver and its signature check.
+// Returns null if the webhook does not exist.
+export async function pingWebhook(id) {
+  const { data: hook, error } = await supabase.from("webhooks").select("id, url, secret").eq("id", id).maybeSingle();
+  if (error) throw error;
+  if (!hook) return null;
+  return deliver(hook, "ping", { webhookId: hook.id }, { maxAttempts: 1 });
+}
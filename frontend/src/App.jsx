@@ -7,6 +7,12 @@ import LeaderboardPage from "./pages/LeaderboardPage";
 import MyTeamPage from "./pages/MyTeamPage";
 import TeamPublicPage from "./pages/TeamPublicPage";
 import ProfileHubPage from "./pages/ProfileHubPage";
+import RiderPage from "./pages/RiderPage";
+import AdminPage from "./pages/AdminPage";
+import RacesPage from "./pages/RacesPage";
+import RacePage from "./pages/RacePage";
+import CareerPage from "./pages/CareerPage";
+import ComparePage from "./pages/ComparePage";
 
 export default function App() {
   return (
@@ -17,8 +23,14 @@ export default function App() {
           <Route path="history" element={<HistoryPage />} />
           <Route path="my-team" element={<MyTeamPage />} />
           <Route path="leaderboard" element={<LeaderboardPage />} />
+          <Route path="races" element={<RacesPage />} />
+          <Route path="race/:raceId" element={<RacePage />} />
           <Route path="profile" element={<ProfileHubPage />} />
           <Route path="team/:teamId" element={<TeamPublicPage />} />
+          <Route path="compare/:teamA/:teamB" element={<ComparePage />} />
+          <Route path="rider/:riderId" element={<RiderPage />} />
+          <Route path="player/:userId" element={<CareerPage />} />
+          <Route path="admin" element={<AdminPage />} />
         </Route>
       </Routes>
     </Router>
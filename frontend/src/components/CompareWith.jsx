@@ -0,0 +1,53 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { getCurrentLeaderboard, getSeasonConfig } from "../services/api";
+import { debugLog } from "../services/debug";
+
+const inputClass =
+    "rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none";
+
+// Picker to open the head to head of a team against another team of the current season.
+export default function CompareWith({ teamId, season }) {
+    const navigate = useNavigate();
+    const [teams, setTeams] = React.useState([]);
+
+    React.useEffect(() => {
+        if (!season) return undefined;
+        let mounted = true;
+        (async () => {
+            try {
+                const config = await getSeasonConfig();
+                // The leaderboard only lists the current season's teams.
+                if (config.seasonYear !== season) return;
+                const res = await getCurrentLeaderboard();
+                if (!mounted) return;
+                setTeams(res?.teams ?? []);
+            } catch (e) {
+                debugLog("Compare teams error", e?.message ?? e);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [season]);
+
+    const others = teams.filter((t) => t.id !== teamId);
+    if (!others.length) return null;
+
+    return (
+        <select
+            className={inputClass}
+            value=""
+            onChange={(e) => navigate(`/compare/${teamId}/${e.target.value}`)}
+        >
+            <option value="" disabled>
+                Compare with…
+            </option>
+            {others.map((t) => (
+                <option key={t.id} value={t.id}>
+                    {t.teamName}
+                </option>
+            ))}
+        </select>
+    );
+}
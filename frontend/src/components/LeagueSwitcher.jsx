@@ -0,0 +1,104 @@
+import React from "react";
+
+const inputClass =
+    "rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none";
+const buttonClass =
+    "rounded-md border border-slate-300 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50";
+
+export default function LeagueSwitcher({
+    leagues,
+    selectedId,
+    onSelect,
+    onCreate,
+    onJoin,
+    onLeave,
+    busy,
+    error,
+}) {
+    const [name, setName] = React.useState("");
+    const [code, setCode] = React.useState("");
+    const selected = leagues.find((l) => l.id === selectedId) ?? null;
+
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                    <span className="font-medium">League</span>
+                    <select
+                        className={inputClass}
+                        value={selectedId ?? ""}
+                        onChange={(e) => onSelect?.(e.target.value || null)}
+                    >
+                        <option value="">Global</option>
+                        {leagues.map((l) => (
+                            <option key={l.id} value={l.id}>
+                                {l.name} ({l.memberCount})
+                            </option>
+                        ))}
+                    </select>
+                </label>
+
+                {selected ? (
+                    <div className="flex items-center gap-3 text-sm text-slate-600">
+                        <span>
+                            Invite code:{" "}
+                            <span className="font-mono font-semibold text-slate-900">{selected.code}</span>
+                        </span>
+                        <button
+                            type="button"
+                            disabled={busy}
+                            className={buttonClass}
+                            onClick={() => onLeave?.(selected.id)}
+                        >
+                            Leave
+                        </button>
+                    </div>
+                ) : null}
+            </div>
+
+            <div className="mt-3 grid grid-cols-1 gap-3 sm:grid-cols-2">
+                <form
+                    className="flex gap-2"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        if (name.trim().length < 2) return;
+                        onCreate?.(name.trim());
+                        setName("");
+                    }}
+                >
+                    <input
+                        className={`${inputClass} w-full`}
+                        placeholder="New league name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                    />
+                    <button type="submit" disabled={busy || name.trim().length < 2} className={buttonClass}>
+                        Create
+                    </button>
+                </form>
+                <form
+                    className="flex gap-2"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        if (!code.trim()) return;
+                        onJoin?.(code.trim());
+                        setCode("");
+                    }}
+                >
+                    <input
+                        className={`${inputClass} w-full`}
+                        placeholder="League code, e.g. LG-7KQ2MX"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        autoComplete="off"
+                    />
+                    <button type="submit" disabled={busy || !code.trim()} className={buttonClass}>
+                        Join
+                    </button>
+                </form>
+            </div>
+
+            {error ? <div className="mt-2 text-sm text-red-700">{error}</div> : null}
+        </div>
+    );
+}
@@ -0,0 +1,87 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { getOwnership } from "../services/api";
+import { debugLog } from "../services/debug";
+
+function percent(share) {
+    return `${Math.round((share ?? 0) * 100)}%`;
+}
+
+function RiderList({ title, hint, riders, value }) {
+    return (
+        <div>
+            <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-500" title={hint}>
+                {title}
+            </h4>
+            {riders.length === 0 ? (
+                <div className="mt-2 text-sm text-slate-400">—</div>
+            ) : (
+                <ol className="mt-2 space-y-1 text-sm">
+                    {riders.map((r) => (
+                        <li key={r.riderId} className="flex justify-between gap-2">
+                            <Link className="truncate text-slate-900 hover:underline" to={`/rider/${r.riderId}`}>
+                                {r.rider_name}
+                            </Link>
+                            <span className="whitespace-nowrap text-slate-500">{value(r)}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+// "Most picked" panel: ownership across all teams of the season.
+export default function MostPicked() {
+    const [data, setData] = React.useState(null);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                const res = await getOwnership();
+                if (!mounted) return;
+                setData(res);
+                debugLog("Ownership loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError("Failed to load ownership stats.");
+                debugLog("Ownership error", e?.message ?? e);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, []);
+
+    if (!error && !data?.teams) return null;
+
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <h3 className="text-sm font-semibold text-slate-900">Most picked</h3>
+            {error ? <div className="mt-3 text-sm text-red-700">{error}</div> : null}
+            {data ? (
+                <div className="mt-3 grid grid-cols-1 gap-6 md:grid-cols-3">
+                    <RiderList
+                        title={`Most owned (${data.teams} teams)`}
+                        riders={data.mostOwned ?? []}
+                        value={(r) => percent(r.share)}
+                    />
+                    <RiderList
+                        title="Differentials"
+                        hint="Riders with points that few teams own"
+                        riders={data.differentials ?? []}
+                        value={(r) => `${r.points} pts · ${percent(r.share)}`}
+                    />
+                    <RiderList
+                        title={`Top ${data.topCore?.teams ?? 10} core`}
+                        hint="Riders picked by at least half of the top teams"
+                        riders={data.topCore?.riders ?? []}
+                        value={(r) => `${r.topTeams}/${data.topCore.teams}`}
+                    />
+                </div>
+            ) : null}
+        </div>
+    );
+}
@@ -1,10 +1,20 @@
 import React from "react";
 import { NavLink } from "react-router-dom";
+import { ADMIN_KEY_EVENT, getAdminKey } from "../services/api";
 
 const navLinkBase =
     "px-3 py-2 rounded-md text-sm font-medium transition-colors";
 
 export default function Navbar() {
+    // Only operators who entered the admin key on /admin see the link.
+    const [isAdmin, setIsAdmin] = React.useState(() => !!getAdminKey());
+
+    React.useEffect(() => {
+        const onChange = () => setIsAdmin(!!getAdminKey());
+        window.addEventListener(ADMIN_KEY_EVENT, onChange);
+        return () => window.removeEventListener(ADMIN_KEY_EVENT, onChange);
+    }, []);
+
     return (
         <header className="sticky top-0 z-40 border-b border-slate-200 bg-white/80 backdrop-blur">
             <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-3">
@@ -64,6 +74,17 @@ export default function Navbar() {
                     >
                         Leaderboard
                     </NavLink>
+                    <NavLink
+                        to="/races"
+                        className={({ isActive }) =>
+                            `${navLinkBase} ${isActive
+                                ? "bg-slate-900 text-white"
+                                : "text-slate-700 hover:bg-slate-100"
+                            }`
+                        }
+                    >
+                        Races
+                    </NavLink>
                     <NavLink
                         to="/profile"
                         className={({ isActive }) =>
@@ -75,6 +96,19 @@ export default function Navbar() {
                     >
                         Profile
                     </NavLink>
+                    {isAdmin ? (
+                        <NavLink
+                            to="/admin"
+                            className={({ isActive }) =>
+                                `${navLinkBase} ${isActive
+                                    ? "bg-slate-900 text-white"
+                                    : "text-slate-700 hover:bg-slate-100"
+                                }`
+                            }
+                        >
+                            Admin
+                        </NavLink>
+                    ) : null}
                 </nav>
             </div>
         </header>
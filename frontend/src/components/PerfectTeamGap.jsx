@@ -0,0 +1,92 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { getPerfectTeam } from "../services/api";
+import { debugLog } from "../services/debug";
+
+// How far a team is from the best roster anyone could have picked (in hindsight) this season.
+export default function PerfectTeamGap({ season, points }) {
+    const [perfect, setPerfect] = React.useState(null);
+    const [open, setOpen] = React.useState(false);
+
+    React.useEffect(() => {
+        if (!season) return undefined;
+        let mounted = true;
+        (async () => {
+            try {
+                const res = await getPerfectTeam(season);
+                if (!mounted) return;
+                setPerfect(res);
+                debugLog("Perfect team loaded", res);
+            } catch (e) {
+                debugLog("Perfect team error", e?.message ?? e);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [season]);
+
+    if (!perfect?.points) return null;
+
+    const gap = perfect.points - (points ?? 0);
+    const pct = Math.round(((points ?? 0) / perfect.points) * 100);
+
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                <div>
+                    <h3 className="text-sm font-semibold text-slate-900">Perfect team</h3>
+                    <p className="mt-1 text-sm text-slate-600">
+                        The best {perfect.rosterSize}-rider team within {perfect.budget} scored{" "}
+                        <span className="font-semibold text-slate-900">{perfect.points}</span> points.{" "}
+                        {gap > 0 ? `This team is ${gap} points behind (${pct}% of the optimum).` : null}
+                        {gap === 0 ? "This team matches the optimum." : null}
+                        {/* Possible with mid-season transfers: the optimum is one roster for the whole season. */}
+                        {gap < 0 ? `This team is ${-gap} points ahead of it thanks to transfers.` : null}
+                    </p>
+                </div>
+                <button
+                    type="button"
+                    className="text-sm text-blue-700 hover:underline"
+                    onClick={() => setOpen(!open)}
+                >
+                    {open ? "Hide riders" : "Show riders"}
+                </button>
+            </div>
+
+            {open ? (
+                <div className="mt-3 overflow-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-500">
+                                <th className="py-2 pr-4">Rider</th>
+                                <th className="py-2 pr-4 text-right">Price</th>
+                                <th className="py-2 pr-4 text-right">Points</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {perfect.riders.map((r) => (
+                                <tr key={r.id} className="border-b border-slate-100">
+                                    <td className="py-2 pr-4">
+                                        <Link className="hover:underline" to={`/rider/${r.id}`}>
+                                            {r.rider_name}
+                                        </Link>
+                                    </td>
+                                    <td className="py-2 pr-4 text-right">{r.price}</td>
+                                    <td className="py-2 pr-4 text-right">{r.points}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr className="font-semibold text-slate-900">
+                                <td className="py-2 pr-4">Total</td>
+                                <td className="py-2 pr-4 text-right">{perfect.cost}</td>
+                                <td className="py-2 pr-4 text-right">{perfect.points}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            ) : null}
+        </div>
+    );
+}
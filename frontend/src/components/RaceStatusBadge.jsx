@@ -0,0 +1,13 @@
+import React from "react";
+
+const RACE_STATUS = {
+    scored: { label: "Scored", className: "bg-green-50 text-green-700" },
+    results_pending: { label: "Results pending", className: "bg-amber-50 text-amber-800" },
+    upcoming: { label: "Upcoming", className: "bg-slate-100 text-slate-600" },
+};
+
+// Status of a calendar race as returned by GET /api/races.
+export default function RaceStatusBadge({ status }) {
+    const s = RACE_STATUS[status] ?? RACE_STATUS.upcoming;
+    return <span className={`rounded px-2 py-0.5 text-xs ${s.className}`}>{s.label}</span>;
+}
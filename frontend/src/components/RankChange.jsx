@@ -0,0 +1,9 @@
+import React from "react";
+
+// Places gained (▲) or lost (▼) since the previous race; "–" when there is nothing to compare.
+export default function RankChange({ value }) {
+    if (value === null || value === undefined) return <span className="text-slate-300">–</span>;
+    if (value > 0) return <span className="text-green-700">▲{value}</span>;
+    if (value < 0) return <span className="text-red-700">▼{Math.abs(value)}</span>;
+    return <span className="text-slate-400">=</span>;
+}
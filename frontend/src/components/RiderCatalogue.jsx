@@ -0,0 +1,225 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { listRiders } from "../services/api";
+import { debugLog } from "../services/debug";
+
+const PAGE_SIZE = 20;
+
+const inputClass =
+    "rounded-md border border-slate-300 px-2 py-1 text-sm focus:border-slate-900 focus:outline-none";
+
+const SORTS = [
+    { value: "price", label: "Price" },
+    { value: "points", label: "Last season points" },
+    { value: "value", label: "Points per price" },
+    { value: "name", label: "Name" },
+];
+
+// Browsable rider list for the TeamBuilder; onAdd(rider) puts the rider in the next empty slot.
+export default function RiderCatalogue({ pickedIds, canAdd, onAdd, disabled }) {
+    const [filters, setFilters] = React.useState({
+        q: "",
+        team: "",
+        nationality: "",
+        minPrice: "",
+        maxPrice: "",
+        active: "true",
+        sort: "price",
+        order: "desc",
+    });
+    const [page, setPage] = React.useState(1);
+    const [data, setData] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        const timer = setTimeout(async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await listRiders({ ...filters, page, pageSize: PAGE_SIZE });
+                if (!mounted) return;
+                setData(res);
+                debugLog("Rider catalogue loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError("Failed to load riders.");
+                debugLog("Rider catalogue error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        }, 250);
+        return () => {
+            mounted = false;
+            clearTimeout(timer);
+        };
+    }, [filters, page]);
+
+    function setFilter(key, value) {
+        setFilters((prev) => ({ ...prev, [key]: value }));
+        setPage(1);
+    }
+
+    const riders = data?.riders ?? [];
+    const pages = data ? Math.max(1, Math.ceil(data.total / PAGE_SIZE)) : 1;
+
+    return (
+        <div className="rounded-lg border border-slate-200 p-4">
+            <div className="flex flex-wrap gap-2">
+                <input
+                    className={`${inputClass} w-40`}
+                    placeholder="Name"
+                    value={filters.q}
+                    onChange={(e) => setFilter("q", e.target.value)}
+                />
+                <select className={inputClass} value={filters.team} onChange={(e) => setFilter("team", e.target.value)}>
+                    <option value="">All teams</option>
+                    {(data?.filters?.teams ?? []).map((t) => (
+                        <option key={t} value={t}>
+                            {t}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    className={inputClass}
+                    value={filters.nationality}
+                    onChange={(e) => setFilter("nationality", e.target.value)}
+                >
+                    <option value="">All nations</option>
+                    {(data?.filters?.nationalities ?? []).map((n) => (
+                        <option key={n} value={n}>
+                            {n}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    className={`${inputClass} w-24`}
+                    type="number"
+                    min="0"
+                    placeholder="Min price"
+                    value={filters.minPrice}
+                    onChange={(e) => setFilter("minPrice", e.target.value)}
+                />
+                <input
+                    className={`${inputClass} w-24`}
+                    type="number"
+                    min="0"
+                    placeholder="Max price"
+                    value={filters.maxPrice}
+                    onChange={(e) => setFilter("maxPrice", e.target.value)}
+                />
+                <label className="flex items-center gap-1 text-sm text-slate-700">
+                    <input
+                        type="checkbox"
+                        checked={filters.active === "true"}
+                        onChange={(e) => setFilter("active", e.target.checked ? "true" : "")}
+                    />
+                    Active only
+                </label>
+                <select className={inputClass} value={filters.sort} onChange={(e) => setFilter("sort", e.target.value)}>
+                    {SORTS.map((s) => (
+                        <option key={s.value} value={s.value}>
+                            {s.label}
+                        </option>
+                    ))}
+                </select>
+                <button
+                    type="button"
+                    className={inputClass}
+                    onClick={() => setFilter("order", filters.order === "asc" ? "desc" : "asc")}
+                    title="Toggle sort order"
+                >
+                    {filters.order === "asc" ? "↑" : "↓"}
+                </button>
+            </div>
+
+            {error ? <div className="mt-3 text-sm text-red-700">{error}</div> : null}
+
+            <div className="mt-3 overflow-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                            <th className="py-2 pr-4">Rider</th>
+                            <th className="py-2 pr-4">Team</th>
+                            <th className="py-2 pr-4 text-right">Price</th>
+                            <th className="py-2 pr-4 text-right" title="Points last season">Pts</th>
+                            <th className="py-2 pr-4 text-right" title="Last season points per 100 price">
+                                Pts/100
+                            </th>
+                            <th className="py-2" />
+                        </tr>
+                    </thead>
+                    <tbody className={loading ? "opacity-50" : ""}>
+                        {riders.map((r) => {
+                            const picked = pickedIds.includes(r.id);
+                            return (
+                                <tr key={r.id} className="border-b border-slate-100">
+                                    <td className="py-2 pr-4">
+                                        <Link
+                                            className="hover:underline"
+                                            to={`/rider/${r.id}`}
+                                            target="_blank"
+                                            rel="noreferrer"
+                                        >
+                                            {r.rider_name}
+                                        </Link>
+                                        {r.nationality ? (
+                                            <span className="ml-1 text-xs text-slate-400">{r.nationality}</span>
+                                        ) : null}
+                                    </td>
+                                    <td className="py-2 pr-4 text-slate-600">{r.team_name ?? "—"}</td>
+                                    <td className="py-2 pr-4 text-right">{r.price}</td>
+                                    <td className="py-2 pr-4 text-right">{r.lastSeasonPoints}</td>
+                                    <td className="py-2 pr-4 text-right">{(r.pointsPerPrice * 100).toFixed(1)}</td>
+                                    <td className="py-2 text-right">
+                                        <button
+                                            type="button"
+                                            disabled={disabled || picked || !canAdd}
+                                            className="rounded-md border border-slate-300 px-2 py-1 text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-40"
+                                            onClick={() => onAdd?.(r)}
+                                        >
+                                            {picked ? "Picked" : "Add"}
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {!loading && riders.length === 0 ? (
+                            <tr>
+                                <td className="py-4 text-sm text-slate-600" colSpan={6}>
+                                    No riders match these filters.
+                                </td>
+                            </tr>
+                        ) : null}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="mt-3 flex items-center justify-between text-sm text-slate-600">
+                <span>{data ? `${data.total} riders` : ""}</span>
+                <div className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        className={inputClass}
+                        disabled={page <= 1}
+                        onClick={() => setPage(page - 1)}
+                    >
+                        ←
+                    </button>
+                    <span>
+                        {page} / {pages}
+                    </span>
+                    <button
+                        type="button"
+                        className={inputClass}
+                        disabled={page >= pages}
+                        onClick={() => setPage(page + 1)}
+                    >
+                        →
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
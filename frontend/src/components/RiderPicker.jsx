@@ -1,4 +1,5 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import { autocompleteRiders } from "../services/api";
 import { debugLog } from "../services/debug";
 
@@ -37,7 +38,9 @@ export default function RiderPicker({ value, onChange, disabled }) {
     <div className="relative">
       <input
         disabled={disabled}
-        className="w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none disabled:bg-slate-100"
+        className={`w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none disabled:bg-slate-100 ${
+          value?.id ? "pr-16" : ""
+        }`}
         placeholder="Start typing a rider name…"
         value={query}
         onChange={(e) => {
@@ -51,6 +54,18 @@ export default function RiderPicker({ value, onChange, disabled }) {
         }}
       />
 
+      {value?.id ? (
+        // New tab: leaving the builder mid-pick would drop unsaved slots.
+        <Link
+          to={`/rider/${value.id}`}
+          target="_blank"
+          rel="noreferrer"
+          className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-blue-700 hover:underline"
+        >
+          Profile
+        </Link>
+      ) : null}
+
       {open && options.length > 0 ? (
         <div className="absolute z-20 mt-1 max-h-56 w-full overflow-auto rounded-md border border-slate-200 bg-white shadow">
           {options.map((r, idx) => {
@@ -68,7 +83,14 @@ export default function RiderPicker({ value, onChange, disabled }) {
                 }}
               >
                 <span className="text-slate-900">{r.rider_name}</span>
-                <span className="text-slate-500">{price} cost</span>
+                <span className="text-slate-500">
+                  {typeof r.ownership === "number" ? (
+                    <span className="mr-3 text-xs" title="Share of teams that picked this rider">
+                      {Math.round(r.ownership * 100)}% picked
+                    </span>
+                  ) : null}
+                  {price} cost
+                </span>
               </button>
             );
           })}
@@ -0,0 +1,106 @@
+import React from "react";
+import { getTeamBreakdown } from "../services/api";
+import { debugLog } from "../services/debug";
+
+export default function TeamBreakdown({ teamId }) {
+    const [data, setData] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        if (!teamId) return undefined;
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await getTeamBreakdown(teamId);
+                if (!mounted) return;
+                setData(res);
+                debugLog("Team breakdown loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError("Failed to load the per-race breakdown.");
+                debugLog("Team breakdown error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [teamId]);
+
+    const races = data?.races ?? [];
+    const riders = data?.riders ?? [];
+
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <h3 className="text-sm font-semibold text-slate-900">Points per race</h3>
+            {loading ? <div className="mt-3 text-sm text-slate-600">Loading…</div> : null}
+            {error ? <div className="mt-3 text-sm text-red-700">{error}</div> : null}
+
+            {!loading && !error && races.length === 0 ? (
+                <div className="mt-3 text-sm text-slate-600">No races scored yet this season.</div>
+            ) : null}
+
+            {!loading && !error && races.length > 0 ? (
+                <div className="mt-3 overflow-auto">
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-500">
+                                <th className="sticky left-0 bg-white py-2 pr-4">Rider</th>
+                                {races.map((race) => (
+                                    <th
+                                        key={race.id}
+                                        className="whitespace-nowrap px-2 py-2 text-right"
+                                        title={`${race.name} · ${race.date}`}
+                                    >
+                                        {race.name}
+                                    </th>
+                                ))}
+                                <th className="py-2 pl-2 text-right">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {riders.map((r) => (
+                                <tr key={`${r.slot}-${r.riderId}-${r.from ?? ""}`} className="border-b border-slate-100">
+                                    <td
+                                        className={`sticky left-0 whitespace-nowrap bg-white py-2 pr-4 ${
+                                            r.transferredOut ? "text-slate-400" : ""
+                                        }`}
+                                        title={r.transferredOut ? `Transferred out, scored until ${r.to}` : undefined}
+                                    >
+                                        {r.rider_name}
+                                        {r.transferredOut ? " (out)" : ""}
+                                    </td>
+                                    {r.cells.map((cell, idx) => (
+                                        <td
+                                            key={races[idx].id}
+                                            className={`px-2 py-2 text-right ${cell ? "text-slate-900" : "text-slate-300"}`}
+                                            title={cell ? `Rank ${cell.rank}` : undefined}
+                                        >
+                                            {cell ? cell.points : "·"}
+                                        </td>
+                                    ))}
+                                    <td className="py-2 pl-2 text-right font-medium">{r.total}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr className="font-semibold text-slate-900">
+                                <td className="sticky left-0 bg-white py-2 pr-4">Race total</td>
+                                {races.map((race) => (
+                                    <td key={race.id} className="px-2 py-2 text-right">
+                                        {race.subtotal}
+                                    </td>
+                                ))}
+                                <td className="py-2 pl-2 text-right">{data?.total ?? 0}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            ) : null}
+        </div>
+    );
+}
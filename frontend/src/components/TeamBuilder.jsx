@@ -1,35 +1,79 @@
 import React from "react";
+import RiderCatalogue from "./RiderCatalogue";
 import RiderPicker from "./RiderPicker";
 import { debugLog } from "../services/debug";
 
-const DEFAULT_SLOTS = 12;
-const BUDGET = 11000;
-
 function calcTotal(riders) {
     return riders.reduce((sum, r) => sum + (r?.price ?? r?.points ?? 0), 0);
 }
 
-export default function TeamBuilder({ onSubmit, isSubmitting }) {
-    const [teamName, setTeamName] = React.useState("");
-    const [slots, setSlots] = React.useState(Array(DEFAULT_SLOTS).fill(null));
+// Debounce for draft autosave while the user is picking riders.
+const DRAFT_SAVE_DELAY_MS = 1000;
+
+function initialSlots(rosterSize, riders) {
+    return Array.from({ length: rosterSize }, (_, idx) => riders?.[idx] ?? null);
+}
+
+// rosterSize / budget come from the season config (GET /api/seasons/current/config).
+// Pass initialTeam (the current team) to edit it instead of creating a new one.
+// When creating, `draft` restores a saved draft and onDraftSave autosaves { teamName, riders: [id | null] }.
+export default function TeamBuilder({
+    rosterSize,
+    budget,
+    initialTeam,
+    draft,
+    onDraftSave,
+    onSubmit,
+    onCancel,
+    isSubmitting,
+}) {
+    const editing = !!initialTeam;
+    const start = initialTeam ?? draft;
+    const [teamName, setTeamName] = React.useState(start?.teamName ?? "");
+    const [slots, setSlots] = React.useState(() => initialSlots(rosterSize, start?.riders));
     const [error, setError] = React.useState(null);
+    const [draftStatus, setDraftStatus] = React.useState(null);
+    const [browsing, setBrowsing] = React.useState(false);
+    const touched = React.useRef(false);
+
+    React.useEffect(() => {
+        if (editing || !onDraftSave || !touched.current) return undefined;
+        const timer = setTimeout(async () => {
+            setDraftStatus("Saving draft…");
+            try {
+                await onDraftSave({ teamName: teamName.trim(), riders: slots.map((s) => s?.id ?? null) });
+                setDraftStatus("Draft saved");
+            } catch (e) {
+                setDraftStatus("Draft not saved");
+                debugLog("Draft save error", e?.message ?? e);
+            }
+        }, DRAFT_SAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [editing, onDraftSave, teamName, slots]);
 
     const total = calcTotal(slots.filter(Boolean));
-    const remaining = BUDGET - total;
+    const remaining = budget - total;
 
     function setSlot(index, rider) {
+        touched.current = true;
         const next = [...slots];
         next[index] = rider;
         setSlots(next);
     }
 
+    function addToNextSlot(rider) {
+        const index = slots.findIndex((s) => !s);
+        if (index === -1) return;
+        setSlot(index, { id: rider.id, rider_name: rider.rider_name, price: rider.price });
+    }
+
     function validate() {
         if (teamName.trim().length < 2) return "Team name is required.";
         if (slots.some((s) => !s)) return "Please pick all riders.";
         const names = slots.map((s) => s?.rider_name);
         const unique = new Set(names);
         if (unique.size !== names.length) return "Each rider must be unique.";
-        if (total > BUDGET) return `Budget exceeded by ${Math.abs(remaining)}.`;
+        if (total > budget) return `Budget exceeded by ${Math.abs(remaining)}.`;
         return null;
     }
 
@@ -37,9 +81,9 @@ export default function TeamBuilder({ onSubmit, isSubmitting }) {
         <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
             <div className="flex flex-col gap-1 sm:flex-row sm:items-end sm:justify-between">
                 <div>
-                    <h2 className="text-lg font-semibold">Create your team</h2>
+                    <h2 className="text-lg font-semibold">{editing ? "Edit your team" : "Create your team"}</h2>
                     <p className="text-sm text-slate-600">
-                        You can create your team once. Budget: {BUDGET}.
+                        You can change your team until the season locks. Budget: {budget}.
                     </p>
                 </div>
                 <div className="text-sm">
@@ -57,11 +101,34 @@ export default function TeamBuilder({ onSubmit, isSubmitting }) {
                 <input
                     className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none"
                     value={teamName}
-                    onChange={(e) => setTeamName(e.target.value)}
+                    onChange={(e) => {
+                        touched.current = true;
+                        setTeamName(e.target.value);
+                    }}
                     placeholder="e.g. Team Gilbert"
                 />
             </div>
 
+            <div className="mt-4">
+                <button
+                    type="button"
+                    className="text-sm text-blue-700 hover:underline"
+                    onClick={() => setBrowsing(!browsing)}
+                >
+                    {browsing ? "Hide rider catalogue" : "Browse all riders"}
+                </button>
+                {browsing ? (
+                    <div className="mt-2">
+                        <RiderCatalogue
+                            pickedIds={slots.filter(Boolean).map((s) => s.id)}
+                            canAdd={slots.some((s) => !s)}
+                            disabled={isSubmitting}
+                            onAdd={addToNextSlot}
+                        />
+                    </div>
+                ) : null}
+            </div>
+
             <div className="mt-5 space-y-3">
                 {slots.map((r, idx) => (
                     <div key={idx} className="grid grid-cols-1 gap-2 sm:grid-cols-12 sm:items-center">
@@ -104,8 +171,19 @@ export default function TeamBuilder({ onSubmit, isSubmitting }) {
                         onSubmit?.(payload);
                     }}
                 >
-                    {isSubmitting ? "Creating…" : "Create team (locked)"}
+                    {isSubmitting ? "Saving…" : editing ? "Save changes" : "Create team"}
                 </button>
+                {onCancel ? (
+                    <button
+                        type="button"
+                        disabled={isSubmitting}
+                        className="rounded-md border border-slate-300 px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                        onClick={onCancel}
+                    >
+                        Cancel
+                    </button>
+                ) : null}
+                {draftStatus ? <span className="self-center text-xs text-slate-500">{draftStatus}</span> : null}
             </div>
         </div>
     );
@@ -1,6 +1,10 @@
 import React from "react";
 
-export default function TeamSummary({ me, team, onLogout }) {
+function formatDeadline(value) {
+  return new Date(value).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+}
+
+export default function TeamSummary({ me, team, onEdit, onLogout }) {
   return (
     <div className="space-y-4">
       <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
@@ -13,13 +17,24 @@ export default function TeamSummary({ me, team, onLogout }) {
               Logged in as: {me?.displayName ?? me?.id ?? "user"}
             </div>
           </div>
-          <button
-            type="button"
-            className="rounded-md border border-slate-300 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50"
-            onClick={onLogout}
-          >
-            Log out
-          </button>
+          <div className="flex gap-2">
+            {team?.editable && onEdit ? (
+              <button
+                type="button"
+                className="rounded-md bg-slate-900 px-3 py-2 text-sm font-medium text-white"
+                onClick={onEdit}
+              >
+                Edit team
+              </button>
+            ) : null}
+            <button
+              type="button"
+              className="rounded-md border border-slate-300 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50"
+              onClick={onLogout}
+            >
+              Log out
+            </button>
+          </div>
         </div>
 
         <div className="mt-4 grid grid-cols-1 gap-3 sm:grid-cols-3">
@@ -75,7 +90,11 @@ export default function TeamSummary({ me, team, onLogout }) {
           </table>
         </div>
         <div className="mt-3 text-xs text-slate-500">
-          This team is locked after creation.
+          {team?.editable
+            ? team.lockAt
+              ? `You can edit this team until ${formatDeadline(team.lockAt)}.`
+              : "You can edit this team until the season locks."
+            : "This team is locked for the season."}
         </div>
       </div>
     </div>
@@ -0,0 +1,201 @@
+import React from "react";
+import RiderPicker from "./RiderPicker";
+import { getMyTransfers, makeTransfers } from "../services/api";
+import { debugLog } from "../services/debug";
+
+const buttonClass =
+    "rounded-md border border-slate-300 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50";
+
+function formatDate(value) {
+    return new Date(value).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Mid-season swaps for a locked team: shows the transfer window, pending swaps and the transfer log.
+export default function TransferPanel({ team, budget, onTransferred }) {
+    const [data, setData] = React.useState(null);
+    const [pending, setPending] = React.useState([]);
+    const [outName, setOutName] = React.useState("");
+    const [incoming, setIncoming] = React.useState(null);
+    const [busy, setBusy] = React.useState(false);
+    const [error, setError] = React.useState(null);
+
+    async function load() {
+        try {
+            const res = await getMyTransfers();
+            setData(res);
+            debugLog("Transfers loaded", res);
+        } catch (e) {
+            setError("Failed to load transfers.");
+            debugLog("Transfers load error", e?.message ?? e);
+        }
+    }
+
+    React.useEffect(() => {
+        load();
+    }, [team?.id]);
+
+    const transferWindow = data?.window ?? null;
+    const transfers = data?.transfers ?? [];
+    if (!data && error) return <div className="text-sm text-red-700">{error}</div>;
+    if (!transferWindow && transfers.length === 0) return null;
+
+    const riders = team?.riders ?? [];
+    const priceOf = (name) => riders.find((r) => r.rider_name === name)?.price ?? 0;
+    const newTotal = pending.reduce(
+        (sum, p) => sum - priceOf(p.riderOut) + (p.price ?? 0),
+        team?.totalPrice ?? 0
+    );
+    const remaining = transferWindow ? transferWindow.remaining - pending.length : 0;
+    const available = riders.filter((r) => !pending.some((p) => p.riderOut === r.rider_name));
+
+    function addSwap() {
+        setError(null);
+        if (!outName || !incoming) return;
+        if (riders.some((r) => r.rider_name === incoming.rider_name)) {
+            setError(`${incoming.rider_name} is already in your team.`);
+            return;
+        }
+        if (pending.some((p) => p.riderIn === incoming.rider_name)) {
+            setError(`${incoming.rider_name} is already picked.`);
+            return;
+        }
+        setPending([
+            ...pending,
+            { riderOut: outName, riderIn: incoming.rider_name, price: incoming.price ?? 0 },
+        ]);
+        setOutName("");
+        setIncoming(null);
+    }
+
+    async function confirm() {
+        setBusy(true);
+        setError(null);
+        try {
+            await makeTransfers(pending.map(({ riderOut, riderIn }) => ({ riderOut, riderIn })));
+            setPending([]);
+            await load();
+            onTransferred?.();
+        } catch (e) {
+            setError(e?.message ?? "Transfer failed.");
+            debugLog("makeTransfers error", e?.message ?? e);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <h3 className="text-sm font-semibold text-slate-900">Transfers</h3>
+
+            {transferWindow && !transferWindow.open ? (
+                <div className="mt-2 text-sm text-slate-600">
+                    Next transfer window: {transferWindow.name}, {formatDate(transferWindow.opensAt)} –{" "}
+                    {formatDate(transferWindow.closesAt)} (up to {transferWindow.maxTransfers} swaps).
+                </div>
+            ) : null}
+
+            {transferWindow?.open ? (
+                <div className="mt-2 space-y-3">
+                    <div className="text-sm text-slate-600">
+                        {transferWindow.name} is open until {formatDate(transferWindow.closesAt)}. Swaps left:{" "}
+                        <span className="font-semibold text-slate-900">{remaining}</span>. Points scored
+                        so far stay with your team; new riders score from tomorrow's races on.
+                    </div>
+
+                    {remaining > 0 ? (
+                        <div className="grid grid-cols-1 gap-2 sm:grid-cols-12 sm:items-center">
+                            <select
+                                className="rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none sm:col-span-4"
+                                value={outName}
+                                disabled={busy}
+                                onChange={(e) => setOutName(e.target.value)}
+                            >
+                                <option value="">Rider out…</option>
+                                {available.map((r) => (
+                                    <option key={r.rider_name} value={r.rider_name}>
+                                        {r.rider_name} ({r.price})
+                                    </option>
+                                ))}
+                            </select>
+                            <div className="sm:col-span-6">
+                                <RiderPicker value={incoming} disabled={busy} onChange={setIncoming} />
+                            </div>
+                            <button
+                                type="button"
+                                disabled={busy || !outName || !incoming}
+                                className={`${buttonClass} sm:col-span-2`}
+                                onClick={addSwap}
+                            >
+                                Add swap
+                            </button>
+                        </div>
+                    ) : null}
+
+                    {pending.length > 0 ? (
+                        <div className="space-y-2">
+                            {pending.map((p) => (
+                                <div key={p.riderOut} className="flex items-center justify-between text-sm">
+                                    <span>
+                                        {p.riderOut} → <span className="font-medium">{p.riderIn}</span>
+                                    </span>
+                                    <button
+                                        type="button"
+                                        disabled={busy}
+                                        className="text-xs text-slate-500 hover:text-slate-900"
+                                        onClick={() => setPending(pending.filter((x) => x !== p))}
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            ))}
+                            <div className="flex items-center justify-between gap-3">
+                                <span className={`text-sm ${newTotal > budget ? "text-red-700" : "text-slate-600"}`}>
+                                    New total cost: {newTotal} / {budget}
+                                </span>
+                                <button
+                                    type="button"
+                                    disabled={busy || newTotal > budget}
+                                    className="rounded-md bg-slate-900 px-4 py-2 text-sm font-medium text-white disabled:opacity-50"
+                                    onClick={confirm}
+                                >
+                                    {busy ? "Saving…" : "Confirm transfers"}
+                                </button>
+                            </div>
+                        </div>
+                    ) : null}
+                </div>
+            ) : null}
+
+            {error ? <div className="mt-3 text-sm text-red-700">{error}</div> : null}
+
+            {transfers.length > 0 ? (
+                <div className="mt-4 overflow-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-500">
+                                <th className="py-2 pr-4">When</th>
+                                <th className="py-2 pr-4">Out</th>
+                                <th className="py-2 pr-4">In</th>
+                                <th className="py-2 pr-4 text-right">Counts from</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {transfers.map((t) => (
+                                <tr key={t.id} className="border-b border-slate-100">
+                                    <td className="py-2 pr-4">{formatDate(t.transferredAt)}</td>
+                                    <td className="py-2 pr-4">
+                                        {t.riderOut.rider_name} ({t.riderOut.price})
+                                    </td>
+                                    <td className="py-2 pr-4">
+                                        {t.riderIn.rider_name} ({t.riderIn.price})
+                                    </td>
+                                    <td className="py-2 pr-4 text-right">{t.effectiveFrom}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : null}
+        </div>
+    );
+}
@@ -0,0 +1,532 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import RaceStatusBadge from "../components/RaceStatusBadge";
+import {
+    closeSeason,
+    downloadAccessCodesCsv,
+    generateAccessCodes,
+    getAccessCodes,
+    getAdminKey,
+    getAdminSeason,
+    getAdminTeams,
+    getSeasonConfig,
+    recomputeSeason,
+    setAccessCodeActive,
+    setAdminKey,
+} from "../services/api";
+import { debugLog } from "../services/debug";
+
+const inputClass =
+    "rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-slate-900 focus:outline-none";
+const buttonClass =
+    "rounded-md border border-slate-300 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50";
+const primaryButtonClass =
+    "rounded-md bg-slate-900 px-3 py-2 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-50";
+
+function formatDateTime(value) {
+    return value ? new Date(value).toLocaleString() : "—";
+}
+
+function Card({ title, actions, children }) {
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h2 className="text-sm font-semibold text-slate-900">{title}</h2>
+                {actions}
+            </div>
+            <div className="mt-3">{children}</div>
+        </div>
+    );
+}
+
+function AdminKeyForm({ error, onSubmit }) {
+    const [key, setKey] = React.useState("");
+    return (
+        <div className="mx-auto max-w-md rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <h1 className="text-lg font-semibold text-slate-900">Admin console</h1>
+            <p className="mt-1 text-sm text-slate-600">Enter the backend admin key (MEGABIKE_ADMIN_KEY).</p>
+            <form
+                className="mt-4 flex gap-2"
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    if (key.trim()) onSubmit(key.trim());
+                }}
+            >
+                <input
+                    className={`${inputClass} flex-1`}
+                    type="password"
+                    autoComplete="off"
+                    placeholder="Admin key"
+                    value={key}
+                    onChange={(e) => setKey(e.target.value)}
+                />
+                <button type="submit" className={primaryButtonClass}>
+                    Open
+                </button>
+            </form>
+            {error ? <div className="mt-3 text-sm text-red-700">{error}</div> : null}
+        </div>
+    );
+}
+
+function SeasonCard({ season, busy, result, onRecompute, onClose }) {
+    const finished = season.status === "finished";
+    return (
+        <Card
+            title={`Season ${season.seasonYear}`}
+            actions={
+                <div className="flex gap-2">
+                    <button type="button" className={buttonClass} disabled={busy || finished} onClick={onRecompute}>
+                        Recompute totals
+                    </button>
+                    {finished ? null : (
+                        <button type="button" className={buttonClass} disabled={busy} onClick={onClose}>
+                            Close season…
+                        </button>
+                    )}
+                </div>
+            }
+        >
+            <dl className="grid grid-cols-2 gap-3 text-sm sm:grid-cols-4">
+                <div>
+                    <dt className="text-slate-500">Status</dt>
+                    <dd className="font-medium text-slate-900">
+                        {season.status}
+                        {season.locked && season.status === "open" ? " (locked)" : ""}
+                        {season.configured ? "" : " · defaults"}
+                    </dd>
+                </div>
+                <div>
+                    <dt className="text-slate-500">Roster / budget</dt>
+                    <dd className="font-medium text-slate-900">
+                        {season.rosterSize} riders / {season.budget}
+                    </dd>
+                </div>
+                <div>
+                    <dt className="text-slate-500">Lock</dt>
+                    <dd className="font-medium text-slate-900">{formatDateTime(season.lockAt)}</dd>
+                </div>
+                <div>
+                    <dt className="text-slate-500">Races on calendar</dt>
+                    <dd className="font-medium text-slate-900">{season.races.length}</dd>
+                </div>
+            </dl>
+            {result ? (
+                <div className="mt-3 text-sm text-green-700">
+                    Recomputed {result.riders} riders and {result.teams} teams over {result.races} races.
+                </div>
+            ) : null}
+        </Card>
+    );
+}
+
+// Dry-run result of closing the season; nothing is written until the operator confirms.
+function CloseSeasonCard({ preview, busy, onConfirm, onCancel }) {
+    return (
+        <Card title={`Close season ${preview.season}`}>
+            <p className="text-sm text-slate-600">
+                Points are frozen, the podium below is written to the hall of fame and every team becomes read-only.
+                Ties are broken by monument points, then the cheaper team, then the earlier team.
+            </p>
+            <ol className="mt-3 space-y-1 text-sm">
+                <li>🥇 {preview.podium.winner}</li>
+                <li>🥈 {preview.podium.second}</li>
+                <li>🥉 {preview.podium.third}</li>
+            </ol>
+            <div className="mt-3 max-h-72 overflow-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                            <th className="py-2 pr-4">#</th>
+                            <th className="py-2 pr-4">Team</th>
+                            <th className="py-2 pr-4">Owner</th>
+                            <th className="py-2 pr-4 text-right">Points</th>
+                            <th className="py-2 pr-4 text-right">Monuments</th>
+                            <th className="py-2 pr-4 text-right">Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {preview.standings.map((row) => (
+                            <tr key={row.teamId} className="border-b border-slate-100">
+                                <td className="py-2 pr-4">{row.rank}</td>
+                                <td className="py-2 pr-4">{row.teamName}</td>
+                                <td className="py-2 pr-4 text-slate-600">{row.ownerName ?? "—"}</td>
+                                <td className="py-2 pr-4 text-right">{row.points}</td>
+                                <td className="py-2 pr-4 text-right">{row.monumentPoints}</td>
+                                <td className="py-2 pr-4 text-right">{row.totalCost}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="mt-4 flex gap-2">
+                <button type="button" className={primaryButtonClass} disabled={busy} onClick={onConfirm}>
+                    {busy ? "Closing…" : "Confirm close"}
+                </button>
+                <button type="button" className={buttonClass} disabled={busy} onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </Card>
+    );
+}
+
+function RacesCard({ races }) {
+    return (
+        <Card title="Races">
+            <div className="overflow-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                            <th className="py-2 pr-4">Date</th>
+                            <th className="py-2 pr-4">Race</th>
+                            <th className="py-2 pr-4">Tier</th>
+                            <th className="py-2 pr-4 text-right">Results</th>
+                            <th className="py-2 pr-4">State</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {races.map((r) => (
+                            <tr key={r.key} className="border-b border-slate-100">
+                                <td className="py-2 pr-4 text-slate-600">{r.date ?? "—"}</td>
+                                <td className="py-2 pr-4">{r.name}</td>
+                                <td className="py-2 pr-4 text-slate-600">{r.tier ?? "—"}</td>
+                                <td className="py-2 pr-4 text-right">{r.results}</td>
+                                <td className="py-2 pr-4">
+                                    <RaceStatusBadge status={r.status} />
+                                    {r.id ? null : <span className="ml-2 text-xs text-slate-400">not in database</span>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </Card>
+    );
+}
+
+function TeamsCard({ teams }) {
+    const [onlyWarnings, setOnlyWarnings] = React.useState(true);
+    const flagged = teams.filter((t) => t.warnings.length > 0);
+    const shown = onlyWarnings ? flagged : teams;
+
+    return (
+        <Card
+            title={`Teams (${teams.length}, ${flagged.length} with warnings)`}
+            actions={
+                <label className="flex items-center gap-1 text-sm text-slate-700">
+                    <input
+                        type="checkbox"
+                        checked={onlyWarnings}
+                        onChange={(e) => setOnlyWarnings(e.target.checked)}
+                    />
+                    Only with warnings
+                </label>
+            }
+        >
+            {shown.length === 0 ? (
+                <div className="text-sm text-slate-600">
+                    {onlyWarnings ? "All teams pass validation." : "No teams this season."}
+                </div>
+            ) : (
+                <div className="overflow-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-500">
+                                <th className="py-2 pr-4">Team</th>
+                                <th className="py-2 pr-4">Owner</th>
+                                <th className="py-2 pr-4 text-right">Riders</th>
+                                <th className="py-2 pr-4 text-right">Cost</th>
+                                <th className="py-2 pr-4 text-right">Points</th>
+                                <th className="py-2 pr-4">Warnings</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shown.map((t) => (
+                                <tr key={t.id} className="border-b border-slate-100 align-top">
+                                    <td className="py-2 pr-4">
+                                        <Link className="hover:underline" to={`/team/${t.id}`}>
+                                            {t.teamName}
+                                        </Link>
+                                        {t.locked ? <span className="ml-1 text-xs text-slate-400">locked</span> : null}
+                                    </td>
+                                    <td className="py-2 pr-4 text-slate-600">{t.owner ?? "—"}</td>
+                                    <td className="py-2 pr-4 text-right">{t.riders}</td>
+                                    <td className="py-2 pr-4 text-right">{t.totalCost}</td>
+                                    <td className="py-2 pr-4 text-right">{t.points}</td>
+                                    <td className="py-2 pr-4 text-amber-800">
+                                        {t.warnings.map((w) => (
+                                            <div key={w}>{w}</div>
+                                        ))}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+}
+
+function AccessCodesCard({ codes, busy, onGenerate, onToggle, onDownload }) {
+    const [form, setForm] = React.useState({ count: "10", prefix: "MB-" });
+
+    return (
+        <Card
+            title={`Access codes (${codes.length})`}
+            actions={
+                <button type="button" className={buttonClass} onClick={onDownload}>
+                    Download CSV
+                </button>
+            }
+        >
+            <form
+                className="flex flex-wrap items-center gap-2"
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    onGenerate({ count: Number(form.count), prefix: form.prefix });
+                }}
+            >
+                <input
+                    className={`${inputClass} w-24`}
+                    type="number"
+                    min="1"
+                    max="500"
+                    value={form.count}
+                    onChange={(e) => setForm({ ...form, count: e.target.value })}
+                />
+                <input
+                    className={`${inputClass} w-32`}
+                    placeholder="Prefix"
+                    value={form.prefix}
+                    onChange={(e) => setForm({ ...form, prefix: e.target.value })}
+                />
+                <button type="submit" className={primaryButtonClass} disabled={busy || !Number(form.count)}>
+                    Generate
+                </button>
+            </form>
+
+            <div className="mt-3 max-h-96 overflow-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                            <th className="py-2 pr-4">Code</th>
+                            <th className="py-2 pr-4">User</th>
+                            <th className="py-2 pr-4">Last login</th>
+                            <th className="py-2" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {codes.map((c) => (
+                            <tr key={c.id} className={`border-b border-slate-100 ${c.isActive ? "" : "text-slate-400"}`}>
+                                <td className="py-2 pr-4 font-mono">{c.code}</td>
+                                <td className="py-2 pr-4">{c.user?.displayName ?? "—"}</td>
+                                <td className="py-2 pr-4">{formatDateTime(c.lastLoginAt)}</td>
+                                <td className="py-2 text-right">
+                                    <button
+                                        type="button"
+                                        className="rounded-md border border-slate-300 px-2 py-1 text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-40"
+                                        disabled={busy}
+                                        onClick={() => onToggle(c)}
+                                    >
+                                        {c.isActive ? "Deactivate" : "Reactivate"}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </Card>
+    );
+}
+
+// Operator console: season status, race scoring state, team validation and access codes.
+// Every call carries the admin key; a rejected key sends the operator back to the key form.
+export default function AdminPage() {
+    const [hasKey, setHasKey] = React.useState(() => !!getAdminKey());
+    const [keyError, setKeyError] = React.useState(null);
+    const [seasonYear, setSeasonYear] = React.useState(null);
+    const [data, setData] = React.useState(null);
+    const [codes, setCodes] = React.useState([]);
+    const [loading, setLoading] = React.useState(false);
+    const [error, setError] = React.useState(null);
+    const [busy, setBusy] = React.useState(false);
+    const [recomputed, setRecomputed] = React.useState(null);
+    const [closePreview, setClosePreview] = React.useState(null);
+    const [reload, setReload] = React.useState(0);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                const config = await getSeasonConfig();
+                if (mounted) setSeasonYear((prev) => prev ?? config.seasonYear);
+            } catch (e) {
+                if (mounted) setSeasonYear((prev) => prev ?? new Date().getFullYear());
+                debugLog("Admin season config error", e?.message ?? e);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, []);
+
+    React.useEffect(() => {
+        // Skip half-typed years in the season input.
+        if (!hasKey || !seasonYear || seasonYear < 2000) return undefined;
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const [season, teams, accessCodes] = await Promise.all([
+                    getAdminSeason(seasonYear),
+                    getAdminTeams(seasonYear),
+                    getAccessCodes(),
+                ]);
+                if (!mounted) return;
+                setData({ season: season.season, races: season.races, teams: teams.teams });
+                setCodes(accessCodes.codes);
+                debugLog("Admin console loaded", season, teams);
+            } catch (e) {
+                if (!mounted) return;
+                if (e?.message === "Forbidden" || e?.message === "Admin disabled") {
+                    setAdminKey(null);
+                    setHasKey(false);
+                    setKeyError(e.message === "Forbidden" ? "Wrong admin key." : "Admin routes are disabled on the API.");
+                } else {
+                    setError(e?.message ?? "Failed to load the admin console.");
+                }
+                debugLog("Admin console error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [hasKey, seasonYear, reload]);
+
+    async function run(action) {
+        setBusy(true);
+        setError(null);
+        try {
+            return await action();
+        } catch (e) {
+            setError(e?.message ?? "Action failed.");
+            debugLog("Admin action error", e?.message ?? e);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (!hasKey) {
+        return (
+            <AdminKeyForm
+                error={keyError}
+                onSubmit={(key) => {
+                    setAdminKey(key);
+                    setKeyError(null);
+                    setHasKey(true);
+                }}
+            />
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-end justify-between gap-3">
+                <div>
+                    <h1 className="text-2xl font-semibold">Admin</h1>
+                    <p className="mt-1 text-slate-600">Season operations for the Megabike organisers.</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <input
+                        className={`${inputClass} w-28`}
+                        type="number"
+                        value={seasonYear ?? ""}
+                        onChange={(e) => {
+                            setSeasonYear(Number(e.target.value) || null);
+                            setClosePreview(null);
+                        }}
+                    />
+                    <button type="button" className={buttonClass} onClick={() => setReload((n) => n + 1)}>
+                        Refresh
+                    </button>
+                    <button
+                        type="button"
+                        className={buttonClass}
+                        onClick={() => {
+                            setAdminKey(null);
+                            setHasKey(false);
+                        }}
+                    >
+                        Forget key
+                    </button>
+                </div>
+            </div>
+
+            {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
+            {error ? <div className="rounded bg-red-50 p-3 text-sm text-red-700">{error}</div> : null}
+
+            {data ? (
+                <>
+                    <SeasonCard
+                        season={data.season}
+                        busy={busy}
+                        result={recomputed}
+                        onRecompute={() =>
+                            run(async () => {
+                                const res = await recomputeSeason(data.season.seasonYear);
+                                setRecomputed(res);
+                                setReload((n) => n + 1);
+                            })
+                        }
+                        onClose={() =>
+                            run(async () => {
+                                setClosePreview(await closeSeason(data.season.seasonYear, { dryRun: true }));
+                            })
+                        }
+                    />
+                    {closePreview ? (
+                        <CloseSeasonCard
+                            preview={closePreview}
+                            busy={busy}
+                            onCancel={() => setClosePreview(null)}
+                            onConfirm={() =>
+                                run(async () => {
+                                    await closeSeason(closePreview.season);
+                                    setClosePreview(null);
+                                    setReload((n) => n + 1);
+                                })
+                            }
+                        />
+                    ) : null}
+                    <RacesCard races={data.races} />
+                    <TeamsCard teams={data.teams} />
+                </>
+            ) : null}
+
+            <AccessCodesCard
+                codes={codes}
+                busy={busy}
+                onGenerate={(options) =>
+                    run(async () => {
+                        await generateAccessCodes(options);
+                        setCodes((await getAccessCodes()).codes);
+                    })
+                }
+                onToggle={(code) =>
+                    run(async () => {
+                        const updated = await setAccessCodeActive(code.id, !code.isActive);
+                        setCodes((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+                    })
+                }
+                onDownload={() => run(downloadAccessCodesCsv)}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,130 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import { getCareer } from "../services/api";
+import { debugLog } from "../services/debug";
+
+const PODIUM_LABELS = { 1: "Winner", 2: "Second", 3: "Third" };
+
+function Stat({ label, value }) {
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div className="text-xs text-slate-500">{label}</div>
+            <div className="mt-1 text-xl font-semibold text-slate-900">{value ?? "—"}</div>
+        </div>
+    );
+}
+
+export default function CareerPage() {
+    const { userId } = useParams();
+    const [career, setCareer] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await getCareer(userId);
+                if (!mounted) return;
+                setCareer(res);
+                debugLog("Career loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError(e?.message ?? "Failed to load player.");
+                debugLog("Career error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [userId]);
+
+    const seasons = career?.seasons ?? [];
+    const summary = career?.summary;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-start justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    {career?.user?.profileImageUrl ? (
+                        <img
+                            className="h-12 w-12 rounded-full object-cover"
+                            src={career.user.profileImageUrl}
+                            alt=""
+                        />
+                    ) : null}
+                    <div>
+                        <h1 className="text-2xl font-semibold">{career?.user?.displayName ?? "Player"}</h1>
+                        <p className="mt-1 text-slate-600">Megabike career</p>
+                    </div>
+                </div>
+                <Link className="text-sm text-blue-700 hover:underline" to="/history">
+                    ← Hall of fame
+                </Link>
+            </div>
+
+            {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
+            {error ? <div className="text-sm text-red-700">{error}</div> : null}
+
+            {!loading && !error && career ? (
+                <>
+                    <div className="grid grid-cols-2 gap-3 md:grid-cols-5">
+                        <Stat label="Seasons" value={summary.seasonsPlayed} />
+                        <Stat label="Best finish" value={summary.bestFinish ? `#${summary.bestFinish}` : null} />
+                        <Stat label="Titles" value={summary.titles} />
+                        <Stat label="Podiums" value={summary.podiums} />
+                        <Stat label="Total points" value={summary.totalPoints} />
+                    </div>
+
+                    <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <h3 className="text-sm font-semibold text-slate-900">Seasons</h3>
+                        {seasons.length === 0 ? (
+                            <div className="mt-3 text-sm text-slate-600">No seasons played yet.</div>
+                        ) : (
+                            <div className="mt-3 overflow-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                                            <th className="py-2 pr-4">Season</th>
+                                            <th className="py-2 pr-4">Team</th>
+                                            <th className="py-2 pr-4 text-right">Points</th>
+                                            <th className="py-2 pr-4 text-right">Rank</th>
+                                            <th className="py-2 pr-4">Podium</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {seasons.map((s) => (
+                                            <tr key={s.season} className="border-b border-slate-100">
+                                                <td className="py-2 pr-4 font-medium text-slate-900">{s.season}</td>
+                                                <td className="py-2 pr-4">
+                                                    {s.teamId ? (
+                                                        <Link className="hover:underline" to={`/team/${s.teamId}`}>
+                                                            {s.teamName}
+                                                        </Link>
+                                                    ) : (
+                                                        <span className="text-slate-400">—</span>
+                                                    )}
+                                                </td>
+                                                <td className="py-2 pr-4 text-right">{s.points ?? "—"}</td>
+                                                <td className="py-2 pr-4 text-right">
+                                                    #{s.rank}
+                                                    {s.teams ? <span className="text-slate-400"> / {s.teams}</span> : null}
+                                                    {s.final ? null : <span className="ml-1 text-xs text-slate-400">(live)</span>}
+                                                </td>
+                                                <td className="py-2 pr-4">{PODIUM_LABELS[s.podium] ?? ""}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </>
+            ) : null}
+        </div>
+    );
+}
@@ -0,0 +1,166 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import { getTeamComparison } from "../services/api";
+import { debugLog } from "../services/debug";
+
+function signed(value) {
+    return value > 0 ? `+${value}` : String(value);
+}
+
+function RiderList({ title, riders, renderPoints }) {
+    return (
+        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+            <h3 className="text-sm font-semibold text-slate-900">
+                {title} <span className="font-normal text-slate-500">({riders.length})</span>
+            </h3>
+            {riders.length === 0 ? (
+                <div className="mt-3 text-sm text-slate-600">None.</div>
+            ) : (
+                <ul className="mt-3 space-y-1 text-sm">
+                    {riders.map((r) => (
+                        <li key={r.riderId} className="flex justify-between gap-2">
+                            <Link className="hover:underline" to={`/rider/${r.riderId}`}>
+                                {r.rider_name}
+                            </Link>
+                            <span className="text-slate-600">
+                                {renderPoints(r)}
+                                <span className="ml-2 text-xs text-slate-400">{r.price}</span>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function TeamHeader({ team }) {
+    return (
+        <div>
+            <Link className="text-lg font-semibold hover:underline" to={`/team/${team.id}`}>
+                {team.teamName}
+            </Link>
+            <div className="text-sm text-slate-600">
+                {team.ownerName ?? "—"} · Points {team.points} · Cost {team.totalCost}
+            </div>
+        </div>
+    );
+}
+
+export default function ComparePage() {
+    const { teamA, teamB } = useParams();
+    const [comparison, setComparison] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await getTeamComparison(teamA, teamB);
+                if (!mounted) return;
+                setComparison(res);
+                debugLog("Comparison loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError(e?.message ?? "Failed to compare teams.");
+                debugLog("Comparison error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [teamA, teamB]);
+
+    const a = comparison?.teamA;
+    const b = comparison?.teamB;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-semibold">Head to head</h1>
+                    <p className="mt-1 text-slate-600">Season {comparison?.season ?? "—"}</p>
+                </div>
+                <Link className="text-sm text-blue-700 hover:underline" to="/leaderboard">
+                    ← Back to leaderboard
+                </Link>
+            </div>
+
+            {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
+            {error ? <div className="text-sm text-red-700">{error}</div> : null}
+
+            {!loading && !error && a && b ? (
+                <>
+                    <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <div className="flex flex-wrap items-center justify-between gap-4">
+                            <TeamHeader team={a} />
+                            <span className="text-sm font-semibold text-slate-400">vs</span>
+                            <div className="text-right">
+                                <TeamHeader team={b} />
+                            </div>
+                        </div>
+                        <div className="mt-4 text-sm text-slate-600">
+                            Points gap {signed(comparison.pointsDifference)} · Cost gap{" "}
+                            {signed(comparison.costDifference)} (from {a.teamName}'s side)
+                        </div>
+                    </div>
+
+                    <div className="grid gap-4 md:grid-cols-3">
+                        <RiderList title={`Only ${a.teamName}`} riders={a.unique} renderPoints={(r) => r.points} />
+                        <RiderList
+                            title="Shared"
+                            riders={comparison.shared}
+                            renderPoints={(r) =>
+                                r.teamAPoints === r.teamBPoints ? r.teamAPoints : `${r.teamAPoints} / ${r.teamBPoints}`
+                            }
+                        />
+                        <RiderList title={`Only ${b.teamName}`} riders={b.unique} renderPoints={(r) => r.points} />
+                    </div>
+
+                    <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <h3 className="text-sm font-semibold text-slate-900">Points from unique riders per race</h3>
+                        {comparison.races.length === 0 ? (
+                            <div className="mt-3 text-sm text-slate-600">No races run yet.</div>
+                        ) : (
+                            <div className="mt-3 overflow-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                                            <th className="py-2 pr-4">Date</th>
+                                            <th className="py-2 pr-4">Race</th>
+                                            <th className="py-2 pr-4 text-right">{a.teamName}</th>
+                                            <th className="py-2 pr-4 text-right">{b.teamName}</th>
+                                            <th className="py-2 pr-4 text-right" title="Running points gap">
+                                                Gap
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {comparison.races.map((race) => (
+                                            <tr key={race.id} className="border-b border-slate-100">
+                                                <td className="py-2 pr-4 text-slate-600">{race.date}</td>
+                                                <td className="py-2 pr-4">
+                                                    <Link className="hover:underline" to={`/race/${race.id}`}>
+                                                        {race.name}
+                                                    </Link>
+                                                </td>
+                                                <td className="py-2 pr-4 text-right">{race.teamA || "—"}</td>
+                                                <td className="py-2 pr-4 text-right">{race.teamB || "—"}</td>
+                                                <td className="py-2 pr-4 text-right font-medium">{signed(race.gap)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </>
+            ) : null}
+        </div>
+    );
+}
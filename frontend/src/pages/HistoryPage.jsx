@@ -1,4 +1,5 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import { getHistory } from "../services/api";
 import { debugLog } from "../services/debug";
 
@@ -26,8 +27,19 @@ const fallbackPodium = [
     { year: 2024, winner: "Albert", second: "Jack", third: "Dominique" },
 ];
 
+// Name linking to the player's career page once the entry is linked to a user.
+function PlayerName({ name, userId }) {
+    if (!userId) return name;
+    return (
+        <Link className="hover:underline" to={`/player/${userId}`}>
+            {name}
+        </Link>
+    );
+}
+
 export default function HistoryPage() {
     const [podium, setPodium] = React.useState(fallbackPodium);
+    const [mostTitles, setMostTitles] = React.useState([]);
     const [loading, setLoading] = React.useState(true);
     const [error, setError] = React.useState(null);
 
@@ -41,6 +53,7 @@ export default function HistoryPage() {
                 const next = Array.isArray(res?.podium) && res.podium.length ? res.podium : fallbackPodium;
                 if (!mounted) return;
                 setPodium(next);
+                setMostTitles(Array.isArray(res?.mostTitles) ? res.mostTitles : []);
                 debugLog("History loaded", res);
             } catch (e) {
                 if (!mounted) return;
@@ -81,9 +94,15 @@ export default function HistoryPage() {
                                 {podium.map((entry) => (
                                     <tr key={entry.year} className="border-b border-slate-100">
                                         <td className="py-2 pr-4">{entry.year}</td>
-                                        <td className="py-2 pr-4">{entry.winner}</td>
-                                        <td className="py-2 pr-4">{entry.second}</td>
-                                        <td className="py-2 pr-4">{entry.third}</td>
+                                        <td className="py-2 pr-4">
+                                            <PlayerName name={entry.winner} userId={entry.winnerUserId} />
+                                        </td>
+                                        <td className="py-2 pr-4">
+                                            <PlayerName name={entry.second} userId={entry.secondUserId} />
+                                        </td>
+                                        <td className="py-2 pr-4">
+                                            <PlayerName name={entry.third} userId={entry.thirdUserId} />
+                                        </td>
                                     </tr>
                                 ))}
                             </tbody>
@@ -91,6 +110,20 @@ export default function HistoryPage() {
                     </div>
                 ) : null}
             </div>
+
+            {mostTitles.length ? (
+                <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                    <h3 className="text-sm font-semibold text-slate-900">Most titles</h3>
+                    <ol className="mt-3 space-y-1 text-sm">
+                        {mostTitles.map((entry) => (
+                            <li key={entry.userId ?? entry.name} className="flex justify-between">
+                                <PlayerName name={entry.name} userId={entry.userId} />
+                                <span className="font-medium">{entry.titles}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            ) : null}
         </div>
     );
 }
@@ -1,14 +1,21 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import "../styles/HomePage.css";
 import philippeGilbertImage from "../assets/philippe_gilbert.png";
+import RankChange from "../components/RankChange";
 import { debugLog } from "../services/debug";
-import { getLatestRace, getNextRace } from "../services/api";
+import { getLatestRace, getNextRace, subscribeStandings } from "../services/api";
+import { RANK_FLASH_CLASSES, useRankFlash } from "../services/rankFlash";
+
+const TOP_STANDINGS = 5;
 
 const HomePage = () => {
     const [latestRace, setLatestRace] = React.useState(null);
     const [nextRace, setNextRace] = React.useState(null);
     const [loading, setLoading] = React.useState(true);
     const [error, setError] = React.useState(null);
+    const [standings, setStandings] = React.useState([]);
+    const flash = useRankFlash(standings);
 
     React.useEffect(() => {
         let mounted = true;
@@ -39,6 +46,15 @@ const HomePage = () => {
         };
     }, []);
 
+    React.useEffect(
+        () =>
+            subscribeStandings((res) => {
+                setStandings(Array.isArray(res?.teams) ? res.teams.slice(0, TOP_STANDINGS) : []);
+                debugLog("Home standings", res);
+            }),
+        []
+    );
+
     return (
         <div className="homepage-container">
             <div className="hero-image">
@@ -69,7 +85,17 @@ const HomePage = () => {
                                     <ol className="space-y-2 text-sm">
                                         {latestRace.results.slice(0, 5).map((row, idx) => (
                                             <li key={idx} className="flex justify-between border-b pb-1 last:border-0 hover:bg-slate-50">
-                                                <span>{idx + 1}. {row.rider} <span className="text-xs text-slate-400">({row.team})</span></span>
+                                                <span>
+                                                    {idx + 1}.{" "}
+                                                    {row.riderId ? (
+                                                        <Link className="hover:underline" to={`/rider/${row.riderId}`}>
+                                                            {row.rider}
+                                                        </Link>
+                                                    ) : (
+                                                        row.rider
+                                                    )}{" "}
+                                                    <span className="text-xs text-slate-400">({row.team})</span>
+                                                </span>
                                                 <span className="font-medium">{row.points}</span>
                                             </li>
                                         ))}
@@ -77,6 +103,12 @@ const HomePage = () => {
                                 ) : (
                                     <p className="text-sm text-slate-500">No results yet.</p>
                                 )}
+                                <Link
+                                    className="mt-4 inline-block text-sm text-blue-700 hover:underline"
+                                    to={`/race/${latestRace.id}`}
+                                >
+                                    Full results →
+                                </Link>
                             </div>
                         )}
                     </div>
@@ -97,8 +129,41 @@ const HomePage = () => {
                                 </div>
                             </div>
                         )}
+                        <Link className="mt-4 inline-block text-sm text-blue-700 hover:underline" to="/races">
+                            Full calendar →
+                        </Link>
                     </div>
                 </div>
+
+                {/* Live standings */}
+                {standings.length > 0 && (
+                    <div className="mt-6 rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <h2 className="mb-4 text-lg font-bold text-slate-800">Standings</h2>
+                        <ol className="space-y-2 text-sm">
+                            {standings.map((team, idx) => (
+                                <li
+                                    key={`${team.id}-${idx}`}
+                                    className={`flex justify-between border-b pb-1 last:border-0 ${RANK_FLASH_CLASSES[flash.get(team.id)] ?? ""}`}
+                                >
+                                    <span>
+                                        {idx + 1}.{" "}
+                                        <Link className="hover:underline" to={`/team/${team.id}`}>
+                                            {team.teamName}
+                                        </Link>{" "}
+                                        <span className="text-xs text-slate-400">({team.ownerName})</span>{" "}
+                                        <span className="text-xs">
+                                            <RankChange value={team.rankChange} />
+                                        </span>
+                                    </span>
+                                    <span className="font-medium">{team.points}</span>
+                                </li>
+                            ))}
+                        </ol>
+                        <Link className="mt-4 inline-block text-sm text-blue-700 hover:underline" to="/leaderboard">
+                            Full leaderboard →
+                        </Link>
+                    </div>
+                )}
             </div>
         </div>
     );
@@ -1,12 +1,68 @@
 import React from "react";
 import { Link } from "react-router-dom";
-import { getCurrentLeaderboard } from "../services/api";
+import LeagueSwitcher from "../components/LeagueSwitcher";
+import RankChange from "../components/RankChange";
+import MostPicked from "../components/MostPicked";
+import {
+    createLeague,
+    downloadStandings,
+    getAuthToken,
+    getCurrentLeaderboard,
+    getLeagueLeaderboard,
+    getMyLeagues,
+    joinLeague,
+    leaveLeague,
+    subscribeStandings,
+} from "../services/api";
 import { debugLog } from "../services/debug";
+import { RANK_FLASH_CLASSES, useRankFlash } from "../services/rankFlash";
 
 export default function LeaderboardPage() {
     const [rows, setRows] = React.useState([]);
     const [loading, setLoading] = React.useState(true);
     const [error, setError] = React.useState(null);
+    const [leagues, setLeagues] = React.useState([]);
+    const [leagueId, setLeagueId] = React.useState(null);
+    const [leagueBusy, setLeagueBusy] = React.useState(false);
+    const [leagueError, setLeagueError] = React.useState(null);
+    const [exportError, setExportError] = React.useState(null);
+
+    const authed = !!getAuthToken();
+    const flash = useRankFlash(rows, leagueId);
+    const leagueIdRef = React.useRef(leagueId);
+    leagueIdRef.current = leagueId;
+
+    React.useEffect(() => {
+        if (!authed) return undefined;
+        let mounted = true;
+        (async () => {
+            try {
+                const res = await getMyLeagues();
+                if (mounted) setLeagues(Array.isArray(res?.leagues) ? res.leagues : []);
+            } catch (e) {
+                debugLog("Leagues error", e?.message ?? e);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [authed]);
+
+    async function runLeagueAction(action) {
+        setLeagueBusy(true);
+        setLeagueError(null);
+        try {
+            const league = await action();
+            const res = await getMyLeagues();
+            setLeagues(Array.isArray(res?.leagues) ? res.leagues : []);
+            setLeagueId(league?.id ?? null);
+        } catch (e) {
+            setLeagueError(e?.message ?? "League action failed.");
+            debugLog("League action error", e?.message ?? e);
+        } finally {
+            setLeagueBusy(false);
+        }
+    }
 
     React.useEffect(() => {
         let mounted = true;
@@ -14,7 +70,7 @@ export default function LeaderboardPage() {
             try {
                 setLoading(true);
                 setError(null);
-                const res = await getCurrentLeaderboard();
+                const res = leagueId ? await getLeagueLeaderboard(leagueId) : await getCurrentLeaderboard();
                 if (!mounted) return;
                 setRows(Array.isArray(res?.teams) ? res.teams : Array.isArray(res) ? res : []);
                 debugLog("Leaderboard loaded", res);
@@ -29,17 +85,72 @@ export default function LeaderboardPage() {
         return () => {
             mounted = false;
         };
-    }, []);
+    }, [leagueId]);
+
+    async function download(format) {
+        setExportError(null);
+        try {
+            await downloadStandings(format);
+        } catch (e) {
+            setExportError(e?.message ?? "Export failed.");
+            debugLog("Export error", e?.message ?? e);
+        }
+    }
+
+    // Live updates: the event carries the season standings; a league reloads its own ranking.
+    React.useEffect(
+        () =>
+            subscribeStandings(async (res) => {
+                const id = leagueIdRef.current;
+                try {
+                    const next = id ? (await getLeagueLeaderboard(id))?.teams : res?.teams;
+                    if (leagueIdRef.current === id && Array.isArray(next)) setRows(next);
+                    debugLog("Leaderboard update", res);
+                } catch (e) {
+                    debugLog("Leaderboard update error", e?.message ?? e);
+                }
+            }),
+        []
+    );
 
     return (
         <div className="space-y-4">
-            <div>
-                <h1 className="text-2xl font-semibold">Leaderboard</h1>
-                <p className="mt-1 text-slate-600">
-                    Current season standings (points are updated by the scoring API).
-                </p>
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-semibold">Leaderboard</h1>
+                    <p className="mt-1 text-slate-600">
+                        Current season standings, updated live as races are scored.
+                    </p>
+                </div>
+                <div className="text-right text-sm">
+                    <span className="text-slate-500">Spreadsheet: </span>
+                    <button type="button" className="text-blue-700 hover:underline" onClick={() => download("xlsx")}>
+                        Excel
+                    </button>
+                    <span className="text-slate-300"> · </span>
+                    <button type="button" className="text-blue-700 hover:underline" onClick={() => download("csv")}>
+                        CSV
+                    </button>
+                    {exportError ? <div className="mt-1 text-red-700">{exportError}</div> : null}
+                </div>
             </div>
 
+            {authed ? (
+                <LeagueSwitcher
+                    leagues={leagues}
+                    selectedId={leagueId}
+                    onSelect={setLeagueId}
+                    onCreate={(name) => runLeagueAction(() => createLeague(name))}
+                    onJoin={(code) => runLeagueAction(() => joinLeague(code))}
+                    onLeave={(id) => runLeagueAction(async () => {
+                        await leaveLeague(id);
+                        return null;
+                    })}
+                    busy={leagueBusy}
+                    error={leagueError}
+                />
+            ) : null}
+
             <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
                 {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
                 {error ? <div className="text-sm text-red-700">{error}</div> : null}
@@ -50,6 +161,7 @@ export default function LeaderboardPage() {
                             <thead>
                                 <tr className="border-b border-slate-200 text-left text-slate-500">
                                     <th className="py-2 pr-4">Rank</th>
+                                    <th className="py-2 pr-4" title="Since the previous race">±</th>
                                     <th className="py-2 pr-4">Team</th>
                                     <th className="py-2 pr-4 text-right">Points</th>
                                 </tr>
@@ -58,9 +170,12 @@ export default function LeaderboardPage() {
                                 {rows.map((t, idx) => (
                                     <tr
                                         key={`${t.id ?? t.team_name ?? t.teamName ?? "team"}-${idx}`}
-                                        className="border-b border-slate-100"
+                                        className={`border-b border-slate-100 ${RANK_FLASH_CLASSES[flash.get(t.id)] ?? ""}`}
                                     >
                                         <td className="py-2 pr-4">{idx + 1}</td>
+                                        <td className="py-2 pr-4 text-xs">
+                                            <RankChange value={t.rankChange} />
+                                        </td>
                                         <td className="py-2 pr-4">
                                             <div>
                                                 {t.id ? (
@@ -87,7 +202,7 @@ export default function LeaderboardPage() {
                                 ))}
                                 {rows.length === 0 ? (
                                     <tr>
-                                        <td className="py-4 text-sm text-slate-600" colSpan={3}>
+                                        <td className="py-4 text-sm text-slate-600" colSpan={4}>
                                             No teams yet.
                                         </td>
                                     </tr>
@@ -97,6 +212,8 @@ export default function LeaderboardPage() {
                     </div>
                 ) : null}
             </div>
+
+            <MostPicked />
         </div>
     );
 }
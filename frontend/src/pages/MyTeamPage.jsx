@@ -1,36 +1,68 @@
 import React from "react";
 import AccessCodeForm from "../components/AccessCodeForm";
+import PerfectTeamGap from "../components/PerfectTeamGap";
+import TeamBreakdown from "../components/TeamBreakdown";
 import TeamBuilder from "../components/TeamBuilder";
 import TeamSummary from "../components/TeamSummary";
+import TransferPanel from "../components/TransferPanel";
 import { debugLog } from "../services/debug";
 import {
   createMyTeam,
+  deleteTeamDraft,
   getMe,
   getMyTeam,
   getAuthToken,
+  getSeasonConfig,
+  getTeamDraft,
+  saveTeamDraft,
   setAuthToken,
+  updateMyTeam,
   verifyAccessCode,
 } from "../services/api";
 
+function formatSavedAt(value) {
+  return new Date(value).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+}
+
 export default function MyTeamPage() {
   const [token, setToken] = React.useState(getAuthToken());
   const [me, setMe] = React.useState(null);
   const [team, setTeam] = React.useState(null);
+  const [draft, setDraft] = React.useState(null);
+  const [season, setSeason] = React.useState(null);
+  const [editing, setEditing] = React.useState(false);
   const [loading, setLoading] = React.useState(false);
   const [error, setError] = React.useState(null);
 
   const authed = !!token;
 
+  React.useEffect(() => {
+    let mounted = true;
+    getSeasonConfig()
+      .then((config) => {
+        if (mounted) setSeason(config);
+      })
+      .catch((e) => {
+        if (mounted) setError("Failed to load the season rules.");
+        debugLog("Season config error", e?.message ?? e);
+      });
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
   async function loadAuthed() {
     setLoading(true);
     setError(null);
     try {
-      const [meRes, teamRes] = await Promise.allSettled([getMe(), getMyTeam()]);
+      const [meRes, teamRes, draftRes] = await Promise.allSettled([getMe(), getMyTeam(), getTeamDraft()]);
       const nextMe = meRes.status === "fulfilled" ? meRes.value : null;
       const nextTeam = teamRes.status === "fulfilled" ? teamRes.value : null;
+      const nextDraft = draftRes.status === "fulfilled" ? draftRes.value : null;
       setMe(nextMe);
       setTeam(nextTeam);
-      debugLog("MyTeam loaded", { nextMe, nextTeam });
+      setDraft(nextDraft);
+      debugLog("MyTeam loaded", { nextMe, nextTeam, nextDraft });
     } catch (e) {
       setError(e?.message ?? "Failed to load your team");
       debugLog("MyTeam load error", e?.message ?? e);
@@ -48,8 +80,9 @@ export default function MyTeamPage() {
       <div>
         <h1 className="text-2xl font-semibold">My Team</h1>
         <p className="mt-1 text-slate-600">
-          Create your team once (budget 11,000) and track points for the current
-          season.
+          Build your team
+          {season ? ` (budget ${season.budget.toLocaleString("en-US")})` : ""}, adjust it until the
+          season locks and track points for the current season.
         </p>
       </div>
 
@@ -80,34 +113,107 @@ export default function MyTeamPage() {
         <div className="p-8 text-center text-slate-500 animate-pulse">
           Loading your team...
         </div>
+      ) : team && editing && season ? (
+        <>
+          <TeamBuilder
+            rosterSize={season.rosterSize}
+            budget={season.budget}
+            initialTeam={team}
+            isSubmitting={loading}
+            onCancel={() => {
+              setEditing(false);
+              setError(null);
+            }}
+            onSubmit={async (payload) => {
+              setLoading(true);
+              setError(null);
+              try {
+                await updateMyTeam(payload);
+                setEditing(false);
+                await loadAuthed();
+              } catch (e) {
+                setError(e?.message ?? "Failed to save your team");
+                debugLog("updateMyTeam error", e?.message ?? e);
+              } finally {
+                setLoading(false);
+              }
+            }}
+          />
+          {error ? <div className="text-sm text-red-700">{error}</div> : null}
+        </>
       ) : team ? (
-        <TeamSummary
-          me={me}
-          team={team}
-          onLogout={() => {
-            setAuthToken(null);
-            setToken(null);
-            setMe(null);
-            setTeam(null);
-          }}
-        />
+        <>
+          <TeamSummary
+            me={me}
+            team={team}
+            onEdit={() => setEditing(true)}
+            onLogout={() => {
+              setEditing(false);
+              setAuthToken(null);
+              setToken(null);
+              setMe(null);
+              setTeam(null);
+              setDraft(null);
+            }}
+          />
+          {!team.editable && season ? (
+            <TransferPanel team={team} budget={season.budget} onTransferred={loadAuthed} />
+          ) : null}
+          {team.season ? <PerfectTeamGap season={team.season} points={team.points} /> : null}
+          {team.id ? <TeamBreakdown teamId={team.id} /> : null}
+        </>
+      ) : !season ? (
+        <div className="p-8 text-center text-slate-500 animate-pulse">
+          Loading season rules...
+        </div>
       ) : (
-        <TeamBuilder
-          isSubmitting={loading}
-          onSubmit={async (payload) => {
-            setLoading(true);
-            setError(null);
-            try {
-              await createMyTeam(payload);
-              await loadAuthed();
-            } catch (e) {
-              setError(e?.message ?? "Failed to create team");
-              debugLog("createMyTeam error", e?.message ?? e);
-            } finally {
-              setLoading(false);
-            }
-          }}
-        />
+        <>
+          {draft ? (
+            <div className="flex flex-col gap-2 rounded-xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-900 sm:flex-row sm:items-center sm:justify-between">
+              <span>
+                Restored your draft from {formatSavedAt(draft.updatedAt)} (
+                {draft.riders.filter(Boolean).length}/{season.rosterSize} riders picked).
+              </span>
+              <button
+                type="button"
+                className="rounded-md border border-amber-300 px-3 py-1 text-amber-900 hover:bg-amber-100"
+                onClick={async () => {
+                  try {
+                    await deleteTeamDraft();
+                    setDraft(null);
+                  } catch (e) {
+                    debugLog("deleteTeamDraft error", e?.message ?? e);
+                  }
+                }}
+              >
+                Discard draft
+              </button>
+            </div>
+          ) : null}
+          <TeamBuilder
+            key={draft?.updatedAt ?? "new"}
+            rosterSize={season.rosterSize}
+            budget={season.budget}
+            draft={draft}
+            onDraftSave={saveTeamDraft}
+            isSubmitting={loading}
+            onSubmit={async (payload) => {
+              setLoading(true);
+              setError(null);
+              try {
+                await createMyTeam(payload);
+                // The team exists now; a leftover draft would only confuse.
+                await deleteTeamDraft().catch((e) => debugLog("deleteTeamDraft error", e?.message ?? e));
+                await loadAuthed();
+              } catch (e) {
+                setError(e?.message ?? "Failed to create team");
+                debugLog("createMyTeam error", e?.message ?? e);
+              } finally {
+                setLoading(false);
+              }
+            }}
+          />
+        </>
       )}
 
       {authed && !team && error ? (
@@ -0,0 +1,155 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import RankChange from "../components/RankChange";
+import { getRace } from "../services/api";
+import { debugLog } from "../services/debug";
+
+export default function RacePage() {
+    const { raceId } = useParams();
+    const [race, setRace] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await getRace(raceId);
+                if (!mounted) return;
+                setRace(res);
+                debugLog("Race loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError(e?.message ?? "Failed to load race.");
+                debugLog("Race error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [raceId]);
+
+    const results = race?.results ?? [];
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-semibold">{race?.name ?? "Race"}</h1>
+                    <p className="mt-1 text-slate-600">
+                        {race ? `${race.date} · tier ${race.tier ?? "—"}` : "—"}
+                    </p>
+                </div>
+                <Link
+                    className="text-sm text-blue-700 hover:underline"
+                    to={race?.season ? `/races?season=${race.season}` : "/races"}
+                >
+                    ← Back to calendar
+                </Link>
+            </div>
+
+            {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
+            {error ? <div className="text-sm text-red-700">{error}</div> : null}
+
+            {!loading && !error && race ? (
+                <>
+                    {race.topTeams ? (
+                        <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                            <h3 className="text-sm font-semibold text-slate-900">Biggest fantasy gains</h3>
+                            {race.topTeams.length === 0 ? (
+                                <div className="mt-3 text-sm text-slate-600">No team scored in this race.</div>
+                            ) : (
+                                <div className="mt-3 overflow-auto">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="border-b border-slate-200 text-left text-slate-500">
+                                                <th className="py-2 pr-4">Team</th>
+                                                <th className="py-2 pr-4">Owner</th>
+                                                <th className="py-2 pr-4 text-right">Gained</th>
+                                                <th className="py-2 pr-4 text-right">Rank after</th>
+                                                <th className="py-2 pr-4 text-right">Move</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {race.topTeams.map((t) => (
+                                                <tr key={t.id} className="border-b border-slate-100">
+                                                    <td className="py-2 pr-4">
+                                                        <Link className="hover:underline" to={`/team/${t.id}`}>
+                                                            {t.teamName}
+                                                        </Link>
+                                                    </td>
+                                                    <td className="py-2 pr-4 text-slate-600">{t.ownerName ?? "—"}</td>
+                                                    <td className="py-2 pr-4 text-right font-semibold">+{t.gained}</td>
+                                                    <td className="py-2 pr-4 text-right">{t.rank ?? "—"}</td>
+                                                    <td className="py-2 pr-4 text-right">
+                                                        <RankChange value={t.rankChange} />
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    ) : null}
+
+                    <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <h3 className="text-sm font-semibold text-slate-900">Results</h3>
+                        {results.length === 0 ? (
+                            <div className="mt-3 text-sm text-slate-600">No results for this race yet.</div>
+                        ) : (
+                            <div className="mt-3 overflow-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="border-b border-slate-200 text-left text-slate-500">
+                                            <th className="py-2 pr-4">#</th>
+                                            <th className="py-2 pr-4">Rider</th>
+                                            <th className="py-2 pr-4">Team</th>
+                                            <th className="py-2 pr-4 text-right">Points</th>
+                                            <th
+                                                className="py-2 pr-4 text-right"
+                                                title={`Fantasy teams that had the rider on race day (of ${race.teams})`}
+                                            >
+                                                Owned by
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.map((r) => (
+                                            <tr key={r.riderId} className="border-b border-slate-100">
+                                                <td className="py-2 pr-4 text-slate-600">{r.rank}</td>
+                                                <td className="py-2 pr-4">
+                                                    <Link className="hover:underline" to={`/rider/${r.riderId}`}>
+                                                        {r.rider_name}
+                                                    </Link>
+                                                </td>
+                                                <td className="py-2 pr-4 text-slate-600">{r.team_name ?? "—"}</td>
+                                                <td className="py-2 pr-4 text-right">{r.points}</td>
+                                                <td className="py-2 pr-4 text-right">
+                                                    {r.owners ? (
+                                                        <>
+                                                            {r.owners}
+                                                            <span className="ml-1 text-xs text-slate-400">
+                                                                ({Math.round(r.share * 100)}%)
+                                                            </span>
+                                                        </>
+                                                    ) : (
+                                                        <span className="text-slate-300">0</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </>
+            ) : null}
+        </div>
+    );
+}
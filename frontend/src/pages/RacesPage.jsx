@@ -0,0 +1,146 @@
+import React from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import RaceStatusBadge from "../components/RaceStatusBadge";
+import { getRaceCalendar } from "../services/api";
+import { debugLog } from "../services/debug";
+
+export default function RacesPage() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const season = searchParams.get("season");
+    const [calendar, setCalendar] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await getRaceCalendar(season);
+                if (!mounted) return;
+                setCalendar(res);
+                debugLog("Race calendar loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError("Failed to load the race calendar.");
+                debugLog("Race calendar error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [season]);
+
+    const races = calendar?.races ?? [];
+    const scored = races.filter((r) => r.status === "scored").length;
+    const shownSeason = calendar?.season;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-semibold">Races {shownSeason ?? ""}</h1>
+                    <p className="mt-1 text-slate-600">
+                        {races.length ? `${scored} of ${races.length} races scored.` : "The Megabike classics calendar."}
+                    </p>
+                </div>
+                {shownSeason ? (
+                    <div className="flex gap-3 text-sm">
+                        <button
+                            type="button"
+                            className="text-blue-700 hover:underline"
+                            onClick={() => setSearchParams({ season: String(shownSeason - 1) })}
+                        >
+                            ← {shownSeason - 1}
+                        </button>
+                        <button
+                            type="button"
+                            className="text-blue-700 hover:underline"
+                            onClick={() => setSearchParams({ season: String(shownSeason + 1) })}
+                        >
+                            {shownSeason + 1} →
+                        </button>
+                    </div>
+                ) : null}
+            </div>
+
+            <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
+                {error ? <div className="text-sm text-red-700">{error}</div> : null}
+
+                {!loading && !error ? (
+                    <div className="overflow-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="border-b border-slate-200 text-left text-slate-500">
+                                    <th className="py-2 pr-4">Date</th>
+                                    <th className="py-2 pr-4">Race</th>
+                                    <th className="py-2 pr-4" title="Megabike tier: 0 = monument, 2 = smallest">
+                                        Tier
+                                    </th>
+                                    <th className="py-2 pr-4">Status</th>
+                                    <th className="py-2 pr-4">Winner</th>
+                                    <th className="py-2 pr-4">Top fantasy team</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {races.map((r) => (
+                                    <tr key={r.key} className="border-b border-slate-100">
+                                        <td className="py-2 pr-4 text-slate-600">{r.date ?? "TBA"}</td>
+                                        <td className="py-2 pr-4 font-medium text-slate-900">
+                                            {r.id ? (
+                                                <Link className="hover:underline" to={`/race/${r.id}`}>
+                                                    {r.name}
+                                                </Link>
+                                            ) : (
+                                                r.name
+                                            )}
+                                        </td>
+                                        <td className="py-2 pr-4 text-slate-600">{r.tier ?? "—"}</td>
+                                        <td className="py-2 pr-4">
+                                            <RaceStatusBadge status={r.status} />
+                                        </td>
+                                        <td className="py-2 pr-4">
+                                            {r.winner ? (
+                                                <Link className="hover:underline" to={`/rider/${r.winner.riderId}`}>
+                                                    {r.winner.rider_name}
+                                                </Link>
+                                            ) : (
+                                                <span className="text-slate-400">—</span>
+                                            )}
+                                        </td>
+                                        <td className="py-2 pr-4">
+                                            {r.topScorer ? (
+                                                <>
+                                                    <Link className="hover:underline" to={`/team/${r.topScorer.teamId}`}>
+                                                        {r.topScorer.teamName}
+                                                    </Link>
+                                                    <span className="ml-1 text-slate-500">
+                                                        +{r.topScorer.points}
+                                                        {r.topScorer.tied ? ` (+${r.topScorer.tied} tied)` : ""}
+                                                    </span>
+                                                </>
+                                            ) : (
+                                                <span className="text-slate-400">—</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                                {races.length === 0 ? (
+                                    <tr>
+                                        <td className="py-4 text-sm text-slate-600" colSpan={6}>
+                                            No races on this season's calendar.
+                                        </td>
+                                    </tr>
+                                ) : null}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : null}
+            </div>
+        </div>
+    );
+}
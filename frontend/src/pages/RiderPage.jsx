@@ -0,0 +1,134 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import { getRider } from "../services/api";
+import { debugLog } from "../services/debug";
+
+export default function RiderPage() {
+    const { riderId } = useParams();
+    const [rider, setRider] = React.useState(null);
+    const [loading, setLoading] = React.useState(true);
+    const [error, setError] = React.useState(null);
+
+    React.useEffect(() => {
+        let mounted = true;
+        (async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const res = await getRider(riderId);
+                if (!mounted) return;
+                setRider(res);
+                debugLog("Rider loaded", res);
+            } catch (e) {
+                if (!mounted) return;
+                setError(e?.message ?? "Failed to load rider.");
+                debugLog("Rider error", e?.message ?? e);
+            } finally {
+                if (mounted) setLoading(false);
+            }
+        })();
+        return () => {
+            mounted = false;
+        };
+    }, [riderId]);
+
+    const seasons = rider?.seasons ?? [];
+    const results = rider?.results ?? [];
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-semibold">{rider?.rider_name ?? "Rider"}</h1>
+                    <p className="mt-1 text-slate-600">
+                        {[rider?.team_name, rider?.nationality].filter(Boolean).join(" · ") || "—"}
+                        {rider && !rider.active ? " · inactive" : ""}
+                    </p>
+                </div>
+                <Link className="text-sm text-blue-700 hover:underline" to="/leaderboard">
+                    ← Back to leaderboard
+                </Link>
+            </div>
+
+            {loading ? <div className="text-sm text-slate-600">Loading…</div> : null}
+            {error ? <div className="text-sm text-red-700">{error}</div> : null}
+
+            {!loading && !error ? (
+                <>
+                    <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <h3 className="text-sm font-semibold text-slate-900">Seasons</h3>
+                        <div className="mt-3 overflow-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="border-b border-slate-200 text-left text-slate-500">
+                                        <th className="py-2 pr-4">Season</th>
+                                        <th className="py-2 pr-4 text-right">Price</th>
+                                        <th className="py-2 pr-4 text-right">Points</th>
+                                        <th className="py-2 pr-4 text-right">Picked by</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {seasons.map((s) => (
+                                        <tr key={s.season} className="border-b border-slate-100">
+                                            <td className="py-2 pr-4">{s.season}</td>
+                                            <td className="py-2 pr-4 text-right">{s.price ?? "—"}</td>
+                                            <td className="py-2 pr-4 text-right">{s.points}</td>
+                                            <td className="py-2 pr-4 text-right">
+                                                {s.teams} {s.teams === 1 ? "team" : "teams"}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {seasons.length === 0 ? (
+                                        <tr>
+                                            <td className="py-4 text-sm text-slate-600" colSpan={4}>
+                                                No season data yet.
+                                            </td>
+                                        </tr>
+                                    ) : null}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
+                        <h3 className="text-sm font-semibold text-slate-900">Results</h3>
+                        <div className="mt-3 overflow-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="border-b border-slate-200 text-left text-slate-500">
+                                        <th className="py-2 pr-4">Date</th>
+                                        <th className="py-2 pr-4">Race</th>
+                                        <th className="py-2 pr-4 text-right">Rank</th>
+                                        <th className="py-2 pr-4 text-right">Points</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {results.map((r) => (
+                                        <tr key={r.raceId} className="border-b border-slate-100">
+                                            <td className="py-2 pr-4 whitespace-nowrap">{r.date}</td>
+                                            <td className="py-2 pr-4">
+                                                {r.race}
+                                                {r.tier ? (
+                                                    <span className="ml-2 text-xs text-slate-400">tier {r.tier}</span>
+                                                ) : null}
+                                            </td>
+                                            <td className="py-2 pr-4 text-right">{r.rank}</td>
+                                            <td className="py-2 pr-4 text-right">{r.points}</td>
+                                        </tr>
+                                    ))}
+                                    {results.length === 0 ? (
+                                        <tr>
+                                            <td className="py-4 text-sm text-slate-600" colSpan={4}>
+                                                No results yet.
+                                            </td>
+                                        </tr>
+                                    ) : null}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            ) : null}
+        </div>
+    );
+}
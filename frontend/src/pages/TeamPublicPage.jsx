@@ -1,5 +1,8 @@
 import React from "react";
 import { Link, useParams } from "react-router-dom";
+import CompareWith from "../components/CompareWith";
+import PerfectTeamGap from "../components/PerfectTeamGap";
+import TeamBreakdown from "../components/TeamBreakdown";
 import { getTeamById } from "../services/api";
 import { debugLog } from "../services/debug";
 
@@ -42,11 +45,15 @@ export default function TeamPublicPage() {
                     <p className="mt-1 text-slate-600">
                         Season {team?.season ?? "—"} · Points {team?.points ?? 0} · Cost{" "}
                         {team?.totalPrice ?? 0}
+                        {team?.finalRank ? ` · Final rank #${team.finalRank}` : ""}
                     </p>
                 </div>
-                <Link className="text-sm text-blue-700 hover:underline" to="/leaderboard">
-                    ← Back to leaderboard
-                </Link>
+                <div className="flex flex-col items-end gap-2">
+                    <Link className="text-sm text-blue-700 hover:underline" to="/leaderboard">
+                        ← Back to leaderboard
+                    </Link>
+                    {team?.id ? <CompareWith teamId={team.id} season={team.season} /> : null}
+                </div>
             </div>
 
             <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm">
@@ -68,7 +75,15 @@ export default function TeamPublicPage() {
                                 {(team?.riders ?? []).map((r, idx) => (
                                     <tr key={`${r.rider_name ?? "rider"}-${idx}`} className="border-b border-slate-100">
                                         <td className="py-2 pr-4">{r.slot ?? idx + 1}</td>
-                                        <td className="py-2 pr-4">{r.rider_name}</td>
+                                        <td className="py-2 pr-4">
+                                            {r.id ? (
+                                                <Link className="text-blue-700 hover:underline" to={`/rider/${r.id}`}>
+                                                    {r.rider_name}
+                                                </Link>
+                                            ) : (
+                                                r.rider_name
+                                            )}
+                                        </td>
                                         <td className="py-2 pr-4 text-right">{r.price ?? 0}</td>
                                         <td className="py-2 pr-4 text-right">{r.points ?? 0}</td>
                                     </tr>
@@ -85,6 +100,9 @@ export default function TeamPublicPage() {
                     </div>
                 ) : null}
             </div>
+
+            {team?.season ? <PerfectTeamGap season={team.season} points={team.points} /> : null}
+            {team?.id ? <TeamBreakdown teamId={team.id} /> : null}
         </div>
     );
 }
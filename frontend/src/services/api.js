@@ -5,9 +5,13 @@ import { debugLog } from "./debug";
 const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.REACT_APP_SUPABASE_ANON_KEY;
 const OFFLINE_MODE = process.env.REACT_APP_OFFLINE === "true";
+// Node API (backend-node) for features that need server-side logic; empty = same origin.
+const API_URL = (process.env.REACT_APP_API_URL ?? "").replace(/\/+$/, "");
 
 // Used for local state management (JWT)
 const TOKEN_STORAGE_KEY = "megabike_token";
+// Operators paste the backend's MEGABIKE_ADMIN_KEY once on /admin; players never have one.
+const ADMIN_KEY_STORAGE_KEY = "megabike_admin_key";
 const MOCK_USER_KEY = "megabike_mock_user";
 const MOCK_TEAM_KEY = "megabike_mock_team";
 
@@ -70,6 +74,78 @@ function parseJwt(token) {
   }
 }
 
+export function getAdminKey() {
+  return localStorage.getItem(ADMIN_KEY_STORAGE_KEY);
+}
+
+// Fired on window when the admin key is set or cleared (the Navbar shows or hides the Admin link).
+export const ADMIN_KEY_EVENT = "megabike:admin-key";
+
+export function setAdminKey(key) {
+  if (key) localStorage.setItem(ADMIN_KEY_STORAGE_KEY, key);
+  else localStorage.removeItem(ADMIN_KEY_STORAGE_KEY);
+  window.dispatchEvent(new Event(ADMIN_KEY_EVENT));
+}
+
+// Calls the Node API with our JWT (same token the Supabase client uses), or the admin key.
+async function apiFetch(path, { method = "GET", body, auth = false, admin = false, raw = false } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (auth) {
+    const token = getAuthToken();
+    if (!token) throw new Error("Not authenticated");
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (admin) {
+    const key = getAdminKey();
+    if (!key) throw new Error("Missing admin key");
+    headers["x-admin-key"] = key;
+  }
+
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  if (raw && res.ok) return res;
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) {
+    debugLog("apiFetch error", method, path, res.status, data);
+    throw new Error(data?.error || `Request failed (${res.status})`);
+  }
+  return data;
+}
+
+// 0. Season config: Node API (roster size, budget, lock deadline, races, status).
+// Cached for the page lifetime; a failed load is retried on the next call.
+let seasonConfigPromise = null;
+
+export function getSeasonConfig() {
+  if (OFFLINE_MODE) return mockSeasonConfig();
+  if (!seasonConfigPromise) {
+    seasonConfigPromise = apiFetch("/api/seasons/current/config").catch((err) => {
+      seasonConfigPromise = null;
+      throw err;
+    });
+  }
+  return seasonConfigPromise;
+}
+
+async function currentSeason() {
+  const config = await getSeasonConfig();
+  return config.seasonYear;
+}
+
+// Hand a fetched file to the browser as a download.
+function saveDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 // 1. Auth: Calls Serverless Function /api/verify-code
 export async function verifyAccessCode(accessCode) {
   if (OFFLINE_MODE) return mockLogin(accessCode);
@@ -180,7 +256,7 @@ export async function getLatestRace() {
   // Results
   const { data: results, error: resErr } = await getSupabase()
     .from("race_results")
-    .select("rank, points_awarded, riders(rider_name, team_name)")
+    .select("rank, points_awarded, riders(id, rider_name, team_name)")
     .eq("race_id", race.id)
     .order("rank", { ascending: true })
     .limit(50);
@@ -188,9 +264,11 @@ export async function getLatestRace() {
   if (resErr) throw resErr;
 
   return {
+    id: race.id,
     name: race.name,
     date: race.race_date,
     results: (results || []).map(r => ({
+      riderId: r.riders?.id,
       rider: r.riders?.rider_name,
       team: r.riders?.team_name ?? "",
       points: r.points_awarded,
@@ -220,6 +298,18 @@ export async function getNextRace() {
   };
 }
 
+// Whole season calendar (Node API): tier, status, winner and top fantasy team per race.
+export async function getRaceCalendar(season) {
+  if (OFFLINE_MODE) return mockRaceCalendar();
+  const query = season ? `?season=${encodeURIComponent(season)}` : "";
+  return apiFetch(`/api/races${query}`);
+}
+
+// One race (Node API): every result with race-day ownership, and the teams that gained most.
+export async function getRace(raceId) {
+  if (OFFLINE_MODE) return mockRace(raceId);
+  return apiFetch(`/api/races/${encodeURIComponent(raceId)}`);
+}
 
 // 4. Teams & Leaderboard
 export async function getMyTeam() {
@@ -231,8 +321,8 @@ export async function getMyTeam() {
   if (!jwt || !jwt.sub) return null;
   const userId = jwt.sub;
 
-  // TODO: support current season dynamic
-  const season = 2025;
+  const config = await getSeasonConfig();
+  const season = config.seasonYear;
 
   const { data: team, error } = await getSupabase()
     .from("teams")
@@ -258,14 +348,19 @@ export async function getMyTeam() {
         rider_points(season_year, points)
       )
     `)
-    .eq("team_id", team.id);
+    .eq("team_id", team.id)
+    .order("slot", { ascending: true });
 
   // Format response to match expected frontend structure
   return {
     id: team.id,
     teamName: team.team_name,
+    season: team.season_year,
     totalPrice: team.total_cost,
     points: team.points,
+    lockAt: config.lockAt,
+    // Editable until the season lock deadline, unless an admin froze this team.
+    editable: !team.locked && !config.locked,
     riders: (teamRiders || []).map(tr => {
       const r = tr.riders;
       // Extract specific season data (or default to 0)
@@ -295,7 +390,7 @@ export async function createMyTeam(payload) {
   if (!jwt || !jwt.sub) throw new Error("Invalid token");
   const userId = jwt.sub;
 
-  const season = 2025;
+  const season = await currentSeason();
 
   // 2. Create Team
   const { data: team, error: teamErr } = await getSupabase()
@@ -305,7 +400,8 @@ export async function createMyTeam(payload) {
       team_name: payload.teamName,
       season_year: season,
       total_cost: 0, // Should calculate server-side or assume valid if trusted. (TODO: calculate from riders)
-      points: 0
+      points: 0,
+      locked: false
     })
     .select()
     .single();
@@ -375,10 +471,45 @@ export async function createMyTeam(payload) {
   return team;
 }
 
+// Edits go through the Node API so the budget / uniqueness rules and the lock deadline are enforced.
+export async function updateMyTeam(payload) {
+  if (OFFLINE_MODE) return mockUpdateMyTeam(payload);
+  return apiFetch("/api/users/me/team", { method: "PUT", body: payload, auth: true });
+}
+
+// Team drafts: Node API (a half-built team survives refreshes and device switches).
+export async function getTeamDraft() {
+  if (OFFLINE_MODE) return null;
+  return apiFetch("/api/users/me/team/draft", { auth: true });
+}
+
+// draft: { teamName, riders: [riderId | null] } (one entry per slot).
+export async function saveTeamDraft(draft) {
+  if (OFFLINE_MODE) return mockSaveTeamDraft();
+  return apiFetch("/api/users/me/team/draft", { method: "PUT", body: draft, auth: true });
+}
+
+export async function deleteTeamDraft() {
+  if (OFFLINE_MODE) return null;
+  return apiFetch("/api/users/me/team/draft", { method: "DELETE", auth: true });
+}
+
+// Transfer window (open now or next) and my transfer log.
+export async function getMyTransfers() {
+  if (OFFLINE_MODE) return mockMyTransfers();
+  return apiFetch("/api/users/me/team/transfers", { auth: true });
+}
+
+// swaps: [{ riderOut, riderIn }] by rider name.
+export async function makeTransfers(swaps) {
+  if (OFFLINE_MODE) return mockMyTransfers();
+  return apiFetch("/api/users/me/team/transfers", { method: "POST", body: { transfers: swaps }, auth: true });
+}
+
 export async function getCurrentLeaderboard() {
   if (OFFLINE_MODE) return mockLeaderboard();
 
-  const season = 2025;
+  const season = await currentSeason();
   const { data, error } = await getSupabase()
     .from("teams")
     .select("id, team_name, points, users(display_name)")
@@ -388,16 +519,90 @@ export async function getCurrentLeaderboard() {
 
   if (error) throw error;
 
+  const moves = await getRankMovement(season);
+
   return {
     teams: data.map(t => ({
       id: t.id,
       teamName: t.team_name,
       points: t.points,
-      ownerName: t.users?.display_name
+      ownerName: t.users?.display_name,
+      rankChange: moves.get(t.id) ?? null
     }))
   };
 }
 
+// Season standings and rosters in the league spreadsheet layout (Node API), format "csv" or "xlsx".
+export async function downloadStandings(format) {
+  if (OFFLINE_MODE) throw new Error("Exports need the Node API.");
+  const season = await currentSeason();
+  const res = await apiFetch(`/api/leaderboard/export?season=${season}&format=${format}`, { raw: true });
+  saveDownload(await res.blob(), `megabike-${season}.${format}`);
+}
+
+// Live standings (Node API, Server-Sent Events): calls onStandings({ season, teams }) on connect and on
+// every change. EventSource reconnects by itself; returns a function that closes the stream.
+export function subscribeStandings(onStandings) {
+  if (OFFLINE_MODE) {
+    mockLeaderboard().then(onStandings);
+    return () => {};
+  }
+  const source = new EventSource(`${API_URL}/api/leaderboard/stream`);
+  source.addEventListener("standings", (e) => {
+    try {
+      onStandings(JSON.parse(e.data));
+    } catch (err) {
+      debugLog("Standings stream error", err?.message ?? err);
+    }
+  });
+  return () => source.close();
+}
+
+const SNAPSHOT_PAGE_SIZE = 1000;
+
+// Rank change since the previous race (positive = climbed), from the two latest standings snapshots.
+async function getRankMovement(season) {
+  const { data: snaps, error } = await getSupabase()
+    .from("leaderboard_snapshots")
+    .select("id")
+    .eq("season_year", season)
+    .order("race_date", { ascending: false })
+    .limit(2);
+
+  if (error || !snaps || snaps.length < 2) return new Map();
+
+  // PostgREST caps a response at 1000 rows, and two snapshots hold a row per team each: page through.
+  const rows = [];
+  for (let from = 0; ; from += SNAPSHOT_PAGE_SIZE) {
+    const { data: page, error: rowsErr } = await getSupabase()
+      .from("leaderboard_snapshot_rows")
+      .select("snapshot_id, team_id, rank")
+      .in("snapshot_id", snaps.map(s => s.id))
+      .order("snapshot_id", { ascending: true })
+      .order("team_id", { ascending: true })
+      .range(from, from + SNAPSHOT_PAGE_SIZE - 1);
+
+    if (rowsErr) {
+      debugLog("getRankMovement error", rowsErr);
+      return new Map();
+    }
+    rows.push(...(page || []));
+    if (!page || page.length < SNAPSHOT_PAGE_SIZE) break;
+  }
+
+  const previous = new Map();
+  for (const r of rows || []) {
+    if (r.snapshot_id === snaps[1].id) previous.set(r.team_id, r.rank);
+  }
+  const moves = new Map();
+  for (const r of rows || []) {
+    if (r.snapshot_id === snaps[0].id && previous.has(r.team_id)) {
+      moves.set(r.team_id, previous.get(r.team_id) - r.rank);
+    }
+  }
+  return moves;
+}
+
 export async function getTeamById(teamId) {
   if (OFFLINE_MODE) return null;
 
@@ -421,13 +626,17 @@ export async function getTeamById(teamId) {
     `)
     .eq("team_id", team.id);
 
-  const season = 2025; // TODO: make dynamic if needed
+  const season = team.season_year;
 
   return {
     id: team.id,
     teamName: team.team_name,
     ownerName: team.users?.display_name,
+    season: team.season_year,
+    totalPrice: team.total_cost,
     points: team.points,
+    // Set once the season is closed.
+    finalRank: team.final_rank ?? null,
     riders: (teamRiders || []).map(tr => {
       const r = tr.riders;
       const priceObj = r.rider_prices?.find(p => p.season_year === season);
@@ -446,10 +655,41 @@ export async function getTeamById(teamId) {
   };
 }
 
+// Rider x race matrix (points_awarded per race, with per-race subtotals)
+export async function getTeamBreakdown(teamId) {
+  if (OFFLINE_MODE) return mockTeamBreakdown();
+  return apiFetch(`/api/teams/${encodeURIComponent(teamId)}/breakdown`);
+}
+
+// Head to head of two teams of the same season (Node API)
+export async function getTeamComparison(teamA, teamB) {
+  if (OFFLINE_MODE) return mockTeamComparison();
+  return apiFetch(`/api/teams/compare/${encodeURIComponent(teamA)}/${encodeURIComponent(teamB)}`);
+}
+
+// Ownership stats (Node API). Cached for the page lifetime: autocomplete reads it on every keystroke.
+let ownershipPromise = null;
+
+export function getOwnership() {
+  if (OFFLINE_MODE) return mockOwnership();
+  if (!ownershipPromise) {
+    ownershipPromise = apiFetch("/api/riders/ownership").catch((err) => {
+      ownershipPromise = null;
+      throw err;
+    });
+  }
+  return ownershipPromise;
+}
+
 export async function autocompleteRiders(query) {
   if (OFFLINE_MODE) return [];
 
-  const season = 2025;
+  const season = await currentSeason();
+  const ownership = await getOwnership().catch((e) => {
+    debugLog("Ownership error", e?.message ?? e);
+    return null;
+  });
+  const shareById = new Map((ownership?.riders ?? []).map((r) => [r.riderId, r.share]));
 
   const { data, error } = await getSupabase()
     .from("riders")
@@ -467,18 +707,146 @@ export async function autocompleteRiders(query) {
     const priceObj = r.rider_prices?.find(p => p.season_year === season);
     return {
       ...r,
-      price: priceObj ? priceObj.price : 0
+      price: priceObj ? priceObj.price : 0,
+      // Share of this season's teams that picked the rider (null when stats are unavailable).
+      ownership: ownership ? shareById.get(r.id) ?? 0 : null
     };
   });
 }
 
+// Best roster in hindsight for a season (Node API); cached per season for the page lifetime.
+const perfectTeamPromises = new Map();
+
+export function getPerfectTeam(season) {
+  if (OFFLINE_MODE) return mockPerfectTeam();
+  if (!perfectTeamPromises.has(season)) {
+    perfectTeamPromises.set(
+      season,
+      apiFetch(`/api/seasons/${encodeURIComponent(season)}/perfect-team`).catch((err) => {
+        perfectTeamPromises.delete(season);
+        throw err;
+      })
+    );
+  }
+  return perfectTeamPromises.get(season);
+}
+
+// Rider catalogue (Node API): filters { q, team, nationality, minPrice, maxPrice, active },
+// sort price | points (last season) | value (points per price) | name, order, page, pageSize.
+export async function listRiders(params = {}) {
+  if (OFFLINE_MODE) return mockRiderCatalogue();
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") query.set(key, String(value));
+  }
+  return apiFetch(`/api/riders?${query.toString()}`);
+}
+
+// Rider profile (Node API): seasons, results and ownership.
+export async function getRider(riderId) {
+  if (OFFLINE_MODE) return mockRider(riderId);
+  return apiFetch(`/api/riders/${encodeURIComponent(riderId)}`);
+}
+
+// 5. Leagues: Node API (codes are only resolved server-side)
+export async function getMyLeagues() {
+  if (OFFLINE_MODE) return mockMyLeagues();
+  if (!getAuthToken()) return { leagues: [] };
+  return apiFetch("/api/leagues", { auth: true });
+}
+
+export async function createLeague(name) {
+  if (OFFLINE_MODE) return mockCreateLeague(name);
+  return apiFetch("/api/leagues", { method: "POST", body: { name }, auth: true });
+}
+
+export async function joinLeague(code) {
+  if (OFFLINE_MODE) return mockJoinLeague(code);
+  return apiFetch("/api/leagues/join", { method: "POST", body: { code }, auth: true });
+}
+
+export async function leaveLeague(leagueId) {
+  if (OFFLINE_MODE) return null;
+  return apiFetch(`/api/leagues/${encodeURIComponent(leagueId)}/members/me`, {
+    method: "DELETE",
+    auth: true,
+  });
+}
+
+export async function getLeagueLeaderboard(leagueId) {
+  if (OFFLINE_MODE) return mockLeaderboard();
+
+  // The API defaults to the current season.
+  return apiFetch(`/api/leagues/${encodeURIComponent(leagueId)}/leaderboard`, { auth: true });
+}
+
+// Hall of fame (Node API): podium names resolved to the players' current names, with their ids.
 export async function getHistory() {
-  // Simple fetch from 'seasons' table
-  const { data } = await getSupabase().from("seasons").select("*").order("season_year", { ascending: false });
-  // adapt to frontend expected format...
-  return { podium: [], mostTitles: [] }; // placeholder
+  if (OFFLINE_MODE) return mockHistory();
+  return apiFetch("/api/history");
+}
+
+// A player's seasons, ranks, titles and total points (Node API).
+export async function getCareer(userId) {
+  if (OFFLINE_MODE) return mockCareer(userId);
+  return apiFetch(`/api/users/${encodeURIComponent(userId)}/career`);
+}
+
+
+// 6. Admin console: Node API, authenticated with the admin key (no offline mode).
+function requireOnline() {
+  if (OFFLINE_MODE) throw new Error("The admin console needs the Node API.");
+}
+
+export async function getAdminSeason(season) {
+  requireOnline();
+  return apiFetch(`/api/admin/seasons/${encodeURIComponent(season)}/races`, { admin: true });
 }
 
+export async function getAdminTeams(season) {
+  requireOnline();
+  return apiFetch(`/api/admin/seasons/${encodeURIComponent(season)}/teams`, { admin: true });
+}
+
+// Recompute rider/team totals and standings snapshots from the stored results.
+export async function recomputeSeason(season) {
+  requireOnline();
+  return apiFetch(`/api/admin/sync/season/${encodeURIComponent(season)}`, { method: "POST", body: {}, admin: true });
+}
+
+// { dryRun: true } previews the final standings and podium without closing the season.
+export async function closeSeason(season, { dryRun = false } = {}) {
+  requireOnline();
+  return apiFetch(`/api/admin/seasons/${encodeURIComponent(season)}/close`, {
+    method: "POST",
+    body: { dryRun },
+    admin: true,
+  });
+}
+
+export async function getAccessCodes() {
+  requireOnline();
+  return apiFetch("/api/admin/access-codes", { admin: true });
+}
+
+// options: { count, prefix, length } or { count, pattern } ("#" = random character).
+export async function generateAccessCodes(options) {
+  requireOnline();
+  return apiFetch("/api/admin/access-codes", { method: "POST", body: options, admin: true });
+}
+
+export async function setAccessCodeActive(id, active) {
+  requireOnline();
+  const action = active ? "reactivate" : "deactivate";
+  return apiFetch(`/api/admin/access-codes/${encodeURIComponent(id)}/${action}`, { method: "POST", admin: true });
+}
+
+// Fetches the CSV with the admin header and hands it to the browser as a file download.
+export async function downloadAccessCodesCsv() {
+  requireOnline();
+  const res = await apiFetch("/api/admin/access-codes?format=csv", { admin: true, raw: true });
+  saveDownload(await res.blob(), "access-codes.csv");
+}
 
 // --- MOCKS (Offline Mode) ---
 function mockLogin(code) {
@@ -491,4 +859,21 @@ function mockUpdateMe(p) { return Promise.resolve({ id: "mock", displayName: p.d
 function mockLatestRace() { return Promise.resolve({ name: "Mock Race", date: "2025-01-01", results: [] }); }
 function mockNextRace() { return Promise.resolve({ name: "Next Mock", date: "2025-02-01" }); }
 function mockMyTeam() { return Promise.resolve(null); }
-function mockLeaderboard() { return Promise.resolve({ teams: [] }); }
\ No newline at end of file
+function mockSaveTeamDraft() { return Promise.resolve({ updatedAt: new Date().toISOString() }); }
+function mockMyTransfers() { return Promise.resolve({ window: null, transfers: [] }); }
+function mockUpdateMyTeam(p) { return Promise.resolve({ teamName: p.teamName, riders: p.riders }); }
+function mockLeaderboard() { return Promise.resolve({ teams: [] }); }
+function mockPerfectTeam() { return Promise.resolve({ points: 0, cost: 0, riders: [] }); }
+function mockRiderCatalogue() { return Promise.resolve({ page: 1, pageSize: 25, total: 0, riders: [], filters: { teams: [], nationalities: [] } }); }
+function mockRider(id) { return Promise.resolve({ id, rider_name: "Mock Rider", team_name: null, nationality: null, active: true, seasons: [], results: [] }); }
+function mockOwnership() { return Promise.resolve({ teams: 0, riders: [], mostOwned: [], differentials: [], topCore: { teams: 0, riders: [] } }); }
+function mockMyLeagues() { return Promise.resolve({ leagues: [] }); }
+function mockCreateLeague(name) { return Promise.resolve({ id: "mock-league", name, code: "LG-MOCK", isOwner: true, memberCount: 1 }); }
+function mockJoinLeague(code) { return Promise.resolve({ id: "mock-league", name: "Mock League", code, isOwner: false, memberCount: 2 }); }
+function mockTeamBreakdown() { return Promise.resolve({ races: [], riders: [], total: 0 }); }
+function mockSeasonConfig() { return Promise.resolve({ seasonYear: new Date().getFullYear(), status: "open", rosterSize: 12, budget: 11000, lockAt: null, races: [], locked: false }); }
+function mockRaceCalendar() { return Promise.resolve({ season: new Date().getFullYear(), races: [] }); }
+function mockRace(id) { return Promise.resolve({ id, name: "Mock Race", date: "2025-01-01", tier: 2, teams: 0, results: [], topTeams: null }); }
+function mockHistory() { return Promise.resolve({ podium: [], mostTitles: [] }); }
+function mockCareer(id) { return Promise.resolve({ user: { id, displayName: "Mock User", profileImageUrl: null }, seasons: [], summary: { seasonsPlayed: 0, bestFinish: null, titles: 0, podiums: 0, totalPoints: 0 } }); }
+function mockTeamComparison() { return Promise.resolve({ season: null, teamA: null, teamB: null, shared: [], costDifference: 0, pointsDifference: 0, races: [] }); }
\ No newline at end of file
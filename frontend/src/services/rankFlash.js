@@ -0,0 +1,28 @@
+import React from "react";
+
+const FLASH_MS = 2500;
+
+// Rows that moved since the previous `rows` (same `scope`): Map id -> "up" | "down", cleared after a moment.
+export function useRankFlash(rows, scope = null) {
+    const previous = React.useRef({ scope, positions: null });
+    const [flash, setFlash] = React.useState(() => new Map());
+
+    React.useEffect(() => {
+        const before = previous.current.scope === scope ? previous.current.positions : null;
+        previous.current = { scope, positions: new Map(rows.map((r, idx) => [r.id, idx])) };
+
+        const moved = new Map();
+        rows.forEach((r, idx) => {
+            const old = before?.get(r.id);
+            if (old !== undefined && old !== idx) moved.set(r.id, old > idx ? "up" : "down");
+        });
+        setFlash(moved);
+        if (!moved.size) return undefined;
+        const timer = setTimeout(() => setFlash(new Map()), FLASH_MS);
+        return () => clearTimeout(timer);
+    }, [rows, scope]);
+
+    return flash;
+}
+
+export const RANK_FLASH_CLASSES = { up: "animate-rank-up", down: "animate-rank-down" };
@@ -1,4 +1,14 @@
-// Placeholder: scoring is automated by backend/API.
-// Keep this file to avoid broken imports while we migrate logic server-side.
-
-
+// Megabike scoring rules, shared with backend-node (see shared/scoring).
+// The server stays the source of truth for stored points; use these for projections and
+// for explaining where points come from without a round-trip.
+export {
+  RACES,
+  RACES_RANK,
+  RANK_POINTS,
+  raceKey,
+  raceTier,
+  isMegabikeRace,
+  pointsForTier,
+  pointsForRank,
+  scoreTeam,
+} from "megabike-scoring";
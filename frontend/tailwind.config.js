@@ -2,9 +2,23 @@
 module.exports = {
     content: ["./src/**/*.{js,jsx,ts,tsx}", "./public/index.html"],
     theme: {
-        extend: {},
+        extend: {
+            // Live leaderboard: rows slide in from where they were and flash green (climbed) or red (dropped).
+            keyframes: {
+                "rank-up": {
+                    "0%": { transform: "translateY(0.75rem)", backgroundColor: "#dcfce7" },
+                    "100%": { transform: "translateY(0)", backgroundColor: "transparent" },
+                },
+                "rank-down": {
+                    "0%": { transform: "translateY(-0.75rem)", backgroundColor: "#fee2e2" },
+                    "100%": { transform: "translateY(0)", backgroundColor: "transparent" },
+                },
+            },
+            animation: {
+                "rank-up": "rank-up 2.5s ease-out",
+                "rank-down": "rank-down 2.5s ease-out",
+            },
+        },
     },
     plugins: [],
 };
-
-
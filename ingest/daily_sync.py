@@ -5,6 +5,9 @@ import hashlib
 from datetime import datetime
 from typing import Any
 
+import httpx
+
+from .env import MEGABIKE_ADMIN_KEY, MEGABIKE_API_URL
 from .pcs_async import run_blocking
 from .megabike_rules import RACES, RACES_RANK, RANK_POINTS
 from .pcs_http import fetch_pcs_html
@@ -21,6 +24,29 @@ async def _fetch_html(slug: str) -> tuple[int, str]:
     return await fetch_pcs_html(f"https://www.procyclingstats.com/{slug}")
 
 
+async def _refresh_node_standings(season_year: int, scored_race_ids: list[str]) -> None:
+    """
+    Leaderboard snapshots (rank movement, race top teams, live standings) and webhooks are handled by
+    backend-node. An empty season sync there recomputes the totals this worker just wrote, rebuilds the
+    snapshots and sends `race.scored` webhooks for the races this run scored.
+    """
+    if not MEGABIKE_API_URL or not MEGABIKE_ADMIN_KEY:
+        print(
+            "MEGABIKE_API_URL / MEGABIKE_ADMIN_KEY not set: leaderboard snapshots were not rebuilt"
+            " and webhooks were not sent.",
+            flush=True,
+        )
+        return
+    url = f"{MEGABIKE_API_URL}/api/admin/sync/season/{season_year}"
+    async with httpx.AsyncClient(timeout=120) as client:
+        resp = await client.post(
+            url,
+            json={"races": [], "scoredRaceIds": scored_race_ids},
+            headers={"x-admin-key": MEGABIKE_ADMIN_KEY},
+        )
+    resp.raise_for_status()
+
+
 async def main() -> None:
     ap = argparse.ArgumentParser()
     ap.add_argument("--season-year", type=int, default=datetime.utcnow().year)
@@ -48,6 +74,12 @@ async def main() -> None:
         if args.verbose:
             print(msg, flush=True)
 
+    # A closed season is an archive (see POST /api/admin/seasons/:year/close): leave its scores alone.
+    cfg = sb.table("season_configs").select("status").eq("season_year", args.season_year).execute().data or []
+    if cfg and cfg[0].get("status") == "finished":
+        print(f"Season {args.season_year} is finished; nothing to sync.", flush=True)
+        return
+
     # Decide what to sync
     slugs: list[tuple[str, str]] = []
     if args.sync_all:
@@ -71,6 +103,7 @@ async def main() -> None:
             listing_by_key = parse_races_php_one_day_2025(html)
 
     # Process races: upsert race + results + riders, then recompute season totals idempotently.
+    scored_race_ids: list[str] = []
     for race_key, slug in slugs:
         # 1) Preferred: one-day results page HTML (custom parser)
         result_slug = slug
@@ -219,7 +252,20 @@ async def main() -> None:
             rr_rows.append({"race_id": race_id, "rider_id": rider_id, "rank": rank_int, "points_awarded": pts})
 
         if rr_rows:
+            # The daily run re-fetches every race: only new or changed results are announced by webhook.
+            previous = (
+                sb.table("race_results")
+                .select("rider_id, rank, points_awarded")
+                .eq("race_id", race_id)
+                .execute()
+                .data
+                or []
+            )
+            before = {(r["rider_id"], r["rank"], r["points_awarded"]) for r in previous}
+            after = {(r["rider_id"], r["rank"], r["points_awarded"]) for r in rr_rows}
             sb.table("race_results").upsert(rr_rows, on_conflict="race_id,rider_id").execute()
+            if not after <= before:
+                scored_race_ids.append(race_id)
 
     # Idempotent recompute of rider_points for the season (sum all race_results in the season year)
     start = f"{args.season_year}-01-01"
@@ -229,7 +275,7 @@ async def main() -> None:
     # race_results by race_id.
     races_in_season = (
         sb.table("races")
-        .select("id")
+        .select("id, race_date")
         .gte("race_date", start)
         .lte("race_date", end)
         .execute()
@@ -244,7 +290,7 @@ async def main() -> None:
         while True:
             batch = (
                 sb.table("race_results")
-                .select("rider_id, points_awarded")
+                .select("race_id, rider_id, points_awarded")
                 .in_("race_id", race_ids)
                 .range(start_idx, start_idx + limit - 1)
                 .execute()
@@ -266,27 +312,45 @@ async def main() -> None:
     if rp_rows:
         sb.table("rider_points").upsert(rp_rows, on_conflict="season_year,rider_id").execute()
 
-    # Recompute team totals for the season
+    # Recompute team totals for the season. Transfers (team_transfers) split a slot into stints:
+    # a rider only scores for the team on race dates in [from, to) - same rule as backend-node.
+    race_date_by_id = {r["id"]: r.get("race_date") for r in races_in_season if r.get("id")}
+    results_by_rider: dict[str, list[tuple[str, int]]] = {}
+    for row in rr:
+        rid = row.get("rider_id")
+        race_date = race_date_by_id.get(row.get("race_id"))
+        if rid and race_date:
+            results_by_rider.setdefault(rid, []).append((race_date, int(row.get("points_awarded") or 0)))
+
     teams = sb.table("teams").select("id").eq("season_year", args.season_year).execute().data or []
     for t in teams:
         team_id = t["id"]
-        roster = sb.table("team_riders").select("rider_id").eq("team_id", team_id).execute().data or []
-        rids = [r["rider_id"] for r in roster]
-        if not rids:
-            sb.table("teams").update({"points": 0}).eq("id", team_id).execute()
-            continue
-        pts_rows = (
-            sb.table("rider_points")
-            .select("rider_id, points")
-            .eq("season_year", args.season_year)
-            .in_("rider_id", rids)
+        roster = sb.table("team_riders").select("slot, rider_id").eq("team_id", team_id).execute().data or []
+        transfers = (
+            sb.table("team_transfers")
+            .select("slot, rider_out_id, effective_from, transferred_at")
+            .eq("team_id", team_id)
+            .order("transferred_at")
             .execute()
             .data
             or []
         )
-        total = sum(int(r.get("points") or 0) for r in pts_rows)
+        stints: list[tuple[str, str | None, str | None]] = []
+        for r in roster:
+            start_date = None
+            for tr in (x for x in transfers if x["slot"] == r["slot"]):
+                stints.append((tr["rider_out_id"], start_date, tr["effective_from"]))
+                start_date = tr["effective_from"]
+            stints.append((r["rider_id"], start_date, None))
+
+        total = 0
+        for rid, start_date, end_date in stints:
+            for race_date, pts in results_by_rider.get(rid, []):
+                if (start_date is None or race_date >= start_date) and (end_date is None or race_date < end_date):
+                    total += pts
         sb.table("teams").update({"points": total}).eq("id", team_id).execute()
 
+    await _refresh_node_standings(args.season_year, scored_race_ids)
 
 if __name__ == "__main__":
     import asyncio
@@ -21,3 +21,8 @@ SUPABASE_SERVICE_ROLE_KEY = require_env("SUPABASE_SERVICE_ROLE_KEY")
 # - PCS_COOKIES_JSON: JSON dict string, e.g. {"cf_clearance":"..."}
 PCS_COOKIE = os.getenv("PCS_COOKIE", "")
 PCS_COOKIES_JSON = os.getenv("PCS_COOKIES_JSON", "")
+
+# Optional: the Node API (backend-node) and its admin key. After scoring, daily_sync asks it to rebuild
+# the season's leaderboard snapshots, which drive rank movement and per-race top teams.
+MEGABIKE_API_URL = os.getenv("MEGABIKE_API_URL", "").rstrip("/")
+MEGABIKE_ADMIN_KEY = os.getenv("MEGABIKE_ADMIN_KEY", "")
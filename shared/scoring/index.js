@@ -0,0 +1,135 @@
+// Canonical Megabike scoring rules (mirrors ingest/megabike_rules.py + ingest/scoring.py).
+// Shared by backend-node (source of truth) and the React app (projections / explanations),
+// so this module must stay dependency-free and runnable in both Node and the browser.
+
+export const RACES = [
+  "omloop-het-nieuwsblad",
+  "faun-ardeche-classic",
+  "la-drome-classic",
+  "kuurne-brussel-kuurne",
+  "trofeo-laigueglia",
+  "strade-bianche",
+  "nokere-koerse",
+  "milano-torino",
+  "gp-de-denain",
+  "bredene-koksijde-classic",
+  "milano-sanremo",
+  "classic-brugge-de-panne",
+  "e3-harelbeke",
+  "gent-wevelgem",
+  "dwars-door-vlaanderen",
+  "gran-premio-miguel-indurain",
+  "ronde-van-vlaanderen",
+  "scheldeprijs",
+  "brabantse-pijl",
+  "paris-roubaix",
+  "amstel-gold-race",
+  "la-fleche-wallone",
+  "liege-bastogne-liege",
+];
+
+// Race tier per race (0/1/2)
+export const RACES_RANK = {
+  "omloop-het-nieuwsblad": 1,
+  "faun-ardeche-classic": 2,
+  "la-drome-classic": 2,
+  "kuurne-brussel-kuurne": 2,
+  "trofeo-laigueglia": 2,
+  "strade-bianche": 1,
+  "nokere-koerse": 2,
+  "milano-torino": 2,
+  "gp-de-denain": 2,
+  "bredene-koksijde-classic": 2,
+  "milano-sanremo": 0,
+  "classic-brugge-de-panne": 1,
+  "e3-harelbeke": 1,
+  "gent-wevelgem": 1,
+  "dwars-door-vlaanderen": 1,
+  "gran-premio-miguel-indurain": 2,
+  "ronde-van-vlaanderen": 0,
+  "scheldeprijs": 2,
+  "brabantse-pijl": 2,
+  "paris-roubaix": 0,
+  "amstel-gold-race": 1,
+  "la-fleche-wallone": 1,
+  "liege-bastogne-liege": 0,
+};
+
+// Points table per tier; index = rank-1
+export const RANK_POINTS = {
+  0: [
+    240, 150, 120, 100, 85, 75, 65, 55, 50, 45, 40, 35, 30, 28, 26, 24, 22, 20, 18, 16, 14, 13,
+    12, 11, 10, 9, 8, 7, 6, 5, 5,
+  ],
+  1: [
+    200, 125, 100, 80, 70, 60, 50, 45, 40, 35, 30, 25, 20, 18, 16, 14, 12, 10, 9, 8, 7, 6, 5, 4,
+    3, 3, 3, 3, 3, 3, 3,
+  ],
+  2: [
+    150, 85, 70, 55, 45, 40, 35, 30, 25, 20, 16, 14, 12, 10, 9, 8, 7, 6, 5, 4, 3, 2, 2, 2, 2, 2,
+    2, 2, 2, 2, 2,
+  ],
+};
+
+// Accepts a race key ("milano-sanremo") or a stored races.pcs_slug ("race/milano-sanremo/2025").
+export function raceKey(raceSlug) {
+  const s = String(raceSlug ?? "").trim();
+  const m = s.match(/^race\/([^/]+)/);
+  return m ? m[1] : s;
+}
+
+export function isMegabikeRace(raceSlug) {
+  return Object.prototype.hasOwnProperty.call(RACES_RANK, raceKey(raceSlug));
+}
+
+// Tier 0/1/2, or null for races outside the Megabike calendar.
+export function raceTier(raceSlug) {
+  return isMegabikeRace(raceSlug) ? RACES_RANK[raceKey(raceSlug)] : null;
+}
+
+// rank is 1-based; ranks beyond the table get the last value (participation points).
+export function pointsForTier(raceTier, rank) {
+  if (!Number.isInteger(rank) || rank <= 0) return 0;
+  const table = RANK_POINTS[raceTier];
+  if (!table || table.length === 0) return 0;
+  if (rank > table.length) return table[table.length - 1];
+  return table[rank - 1];
+}
+
+export function pointsForRank(raceSlug, rank) {
+  const tier = raceTier(raceSlug);
+  return tier === null ? 0 : pointsForTier(tier, rank);
+}
+
+function riderKey(rider) {
+  if (rider && typeof rider === "object") return rider.rider_id ?? rider.id ?? rider.pcs_slug ?? null;
+  return rider ?? null;
+}
+
+/**
+ * Score a roster against race results.
+ * - roster: rider ids (or objects with `id` / `rider_id` / `pcs_slug`)
+ * - results: [{ race, rider_id (or rider / pcs_slug), rank }], `race` as accepted by raceKey()
+ * Returns the total plus per-race / per-rider subtotals and one line per scoring result.
+ */
+export function scoreTeam(roster, results) {
+  const owned = new Set((roster ?? []).map(riderKey).filter((k) => k !== null));
+  const byRace = {};
+  const byRider = {};
+  const lines = [];
+  let total = 0;
+
+  for (const row of results ?? []) {
+    const rider = riderKey({ rider_id: row.rider_id ?? row.rider, pcs_slug: row.pcs_slug });
+    if (!owned.has(rider)) continue;
+    const race = raceKey(row.race);
+    const points = pointsForRank(race, Number(row.rank));
+    if (points === 0) continue;
+    lines.push({ race, rider, rank: Number(row.rank), points });
+    byRace[race] = (byRace[race] ?? 0) + points;
+    byRider[rider] = (byRider[rider] ?? 0) + points;
+    total += points;
+  }
+
+  return { total, byRace, byRider, lines };
+}
@@ -9,6 +9,16 @@ alter table public.races enable row level security;
 alter table public.race_results enable row level security;
 alter table public.seasons enable row level security;
 alter table public.access_codes enable row level security;
+alter table public.leagues enable row level security;
+alter table public.league_members enable row level security;
+alter table public.leaderboard_snapshots enable row level security;
+alter table public.leaderboard_snapshot_rows enable row level security;
+alter table public.season_configs enable row level security;
+alter table public.transfer_windows enable row level security;
+alter table public.team_transfers enable row level security;
+alter table public.team_drafts enable row level security; -- no policies: service role only
+alter table public.webhooks enable row level security; -- no policies: service role only
+alter table public.webhook_deliveries enable row level security; -- no policies: service role only
 
 -- USERS
 -- Users can see their own profile
@@ -62,8 +72,38 @@ create policy "Public read points" on public.rider_points for select using (true
 create policy "Public read races" on public.races for select using (true);
 create policy "Public read results" on public.race_results for select using (true);
 create policy "Public read seasons" on public.seasons for select using (true);
+create policy "Public read season configs" on public.season_configs for select using (true);
+create policy "Public read snapshots" on public.leaderboard_snapshots for select using (true);
+create policy "Public read snapshot rows" on public.leaderboard_snapshot_rows for select using (true);
+create policy "Public read transfer windows" on public.transfer_windows for select using (true);
+create policy "Public read team transfers" on public.team_transfers for select using (true);
 
 
 -- ACCESS CODES
 -- PRIVATE: Only service role can access. No policies for 'anon' or 'authenticated'.
 -- (Implicitly denies access to public users)
+
+
+-- LEAGUES
+-- Members can see their leagues (including the code, so they can invite others) and who else is in them.
+-- Creating/joining goes through the Node API (service role), so there are no insert/update policies.
+-- Security definer avoids a recursive policy on league_members.
+create or replace function public.is_league_member(p_league_id uuid)
+returns boolean
+language sql
+security definer
+set search_path = public
+stable
+as $$
+  select exists (
+    select 1 from public.league_members
+    where league_id = p_league_id
+    and user_id = auth.uid()
+  );
+$$;
+
+create policy "Members view own leagues" on public.leagues
+  for select using (public.is_league_member(id));
+
+create policy "Members view league members" on public.league_members
+  for select using (public.is_league_member(league_id));
@@ -1,5 +1,6 @@
 -- Megabike Supabase schema (Postgres)
--- Apply in Supabase SQL Editor.
+-- Apply in Supabase SQL Editor. Safe to re-run; databases created from an older version also need
+-- upgrade.sql for the columns and data fixes that `create table if not exists` skips.
 
 create extension if not exists "pgcrypto";
 
@@ -19,7 +20,7 @@ create table if not exists public.access_codes (
   id uuid primary key default gen_random_uuid(),
   code text not null unique,
   is_active boolean not null default true,
-  assigned_user_id uuid null,
+  assigned_user_id uuid null, -- filled on first login
   created_at timestamptz not null default now()
 );
 
@@ -29,6 +30,7 @@ create table if not exists public.users (
   access_code_id uuid not null unique references public.access_codes(id) on delete restrict,
   display_name text not null,
   profile_image_url text null,
+  last_login_at timestamptz null, -- set by /api/auth/verify-code
   created_at timestamptz not null default now()
 );
 
@@ -43,6 +45,7 @@ create table if not exists public.riders (
   updated_at timestamptz not null default now()
 );
 
+drop trigger if exists riders_set_updated_at on public.riders;
 create trigger riders_set_updated_at
 before update on public.riders
 for each row execute function public.set_updated_at();
@@ -73,6 +76,7 @@ create table if not exists public.rider_points (
   primary key (season_year, rider_id)
 );
 
+drop trigger if exists rider_points_set_updated_at on public.rider_points;
 create trigger rider_points_set_updated_at
 before update on public.rider_points
 for each row execute function public.set_updated_at();
@@ -85,7 +89,10 @@ create table if not exists public.teams (
   team_name text not null,
   total_cost int not null default 0 check (total_cost >= 0),
   points int not null default 0 check (points >= 0),
-  locked boolean not null default true,
+  -- Set by an admin to freeze one team early; otherwise teams are editable until the season locks.
+  locked boolean not null default false,
+  -- Position in the final standings, written when an admin closes the season (null until then).
+  final_rank int null check (final_rank >= 1),
   created_at timestamptz not null default now(),
   unique (user_id, season_year)
 );
@@ -106,7 +113,15 @@ create table if not exists public.seasons (
   season_year int primary key,
   winner text not null,
   second text not null,
-  third text not null
+  third text not null,
+  -- Who the names refer to (set when a season is closed by the admin API; null for hand-entered history
+  -- until linked, see supabase/seed/link_hall_of_fame.sql). The names stay as they were at the time.
+  winner_user_id uuid null references public.users(id) on delete set null,
+  second_user_id uuid null references public.users(id) on delete set null,
+  third_user_id uuid null references public.users(id) on delete set null,
+  winner_team_id uuid null references public.teams(id) on delete set null,
+  second_team_id uuid null references public.teams(id) on delete set null,
+  third_team_id uuid null references public.teams(id) on delete set null
 );
 
 -- Races and results (for "Latest race" and audit)
@@ -118,6 +133,7 @@ create table if not exists public.races (
   updated_at timestamptz not null default now()
 );
 
+drop trigger if exists races_set_updated_at on public.races;
 create trigger races_set_updated_at
 before update on public.races
 for each row execute function public.set_updated_at();
@@ -135,3 +151,197 @@ create table if not exists public.race_results (
 create index if not exists race_results_race_rank_idx on public.race_results(race_id, rank asc);
 
 
+
+-- Private mini-leagues (joined with a league code; standings are the members' teams)
+create table if not exists public.leagues (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  code text not null unique,
+  owner_user_id uuid not null references public.users(id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.league_members (
+  league_id uuid not null references public.leagues(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  joined_at timestamptz not null default now(),
+  primary key (league_id, user_id)
+);
+
+create index if not exists league_members_user_idx on public.league_members(user_id);
+
+-- Leaderboard snapshots: standings after each scored race (rebuilt by the Node sync)
+create table if not exists public.leaderboard_snapshots (
+  id uuid primary key default gen_random_uuid(),
+  season_year int not null,
+  race_id uuid not null unique references public.races(id) on delete cascade,
+  race_date date not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists leaderboard_snapshots_season_date_idx
+  on public.leaderboard_snapshots(season_year, race_date desc);
+
+create table if not exists public.leaderboard_snapshot_rows (
+  snapshot_id uuid not null references public.leaderboard_snapshots(id) on delete cascade,
+  team_id uuid not null references public.teams(id) on delete cascade,
+  rank int not null check (rank >= 1),
+  points int not null default 0 check (points >= 0),
+  primary key (snapshot_id, team_id)
+);
+
+-- Per-season game configuration (read by the Node API and the React app)
+-- status: upcoming (not open yet) -> open (teams can be created) -> locked (rosters frozen) -> finished
+create table if not exists public.season_configs (
+  season_year int primary key,
+  status text not null default 'upcoming' check (status in ('upcoming', 'open', 'locked', 'finished')),
+  roster_size int not null default 12 check (roster_size >= 1 and roster_size <= 30),
+  budget int not null default 11000 check (budget >= 0),
+  lock_at timestamptz null,
+  races text[] null, -- Megabike race keys; null = the full list in shared/scoring
+  updated_at timestamptz not null default now()
+);
+
+drop trigger if exists season_configs_set_updated_at on public.season_configs;
+create trigger season_configs_set_updated_at
+before update on public.season_configs
+for each row execute function public.set_updated_at();
+
+-- Transfer windows: periods (e.g. after Milano-Sanremo) in which locked teams may swap riders
+create table if not exists public.transfer_windows (
+  id uuid primary key default gen_random_uuid(),
+  season_year int not null,
+  name text not null,
+  opens_at timestamptz not null,
+  closes_at timestamptz not null,
+  max_transfers int not null default 2 check (max_transfers >= 1),
+  created_at timestamptz not null default now(),
+  check (closes_at > opens_at)
+);
+
+create index if not exists transfer_windows_season_idx on public.transfer_windows(season_year, opens_at);
+
+-- Transfer log: one row per swapped slot. Races dated before effective_from still count for
+-- rider_out, races from effective_from on count for rider_in (team points are replayed from this).
+create table if not exists public.team_transfers (
+  id uuid primary key default gen_random_uuid(),
+  team_id uuid not null references public.teams(id) on delete cascade,
+  window_id uuid not null references public.transfer_windows(id) on delete restrict,
+  slot int not null check (slot >= 1 and slot <= 30),
+  rider_out_id uuid not null references public.riders(id) on delete restrict,
+  rider_in_id uuid not null references public.riders(id) on delete restrict,
+  price_out int not null,
+  price_in int not null,
+  transferred_at timestamptz not null default now(),
+  effective_from date not null
+);
+
+create index if not exists team_transfers_team_idx on public.team_transfers(team_id, transferred_at);
+
+-- Apply a batch of transfers (jsonb array of team_transfers rows without team/window) in one transaction:
+-- log them, swap the slots and store the new roster cost. The team row is locked first, so concurrent
+-- submissions are counted one after the other and the window's max_transfers holds (check_violation);
+-- a slot that no longer holds rider_out fails with serialization_failure. Called by the Node API only.
+create or replace function public.apply_team_transfers(
+  p_team_id uuid,
+  p_window_id uuid,
+  p_transfers jsonb,
+  p_total_cost int
+)
+returns setof public.team_transfers
+language plpgsql
+as $$
+declare
+  v_max int;
+  v_used int;
+  v_transfer jsonb;
+begin
+  perform 1 from public.teams where id = p_team_id for update;
+  if not found then
+    raise exception 'team % not found', p_team_id using errcode = 'no_data_found';
+  end if;
+
+  select max_transfers into v_max from public.transfer_windows where id = p_window_id;
+  select count(*) into v_used from public.team_transfers where team_id = p_team_id and window_id = p_window_id;
+  if v_used + jsonb_array_length(p_transfers) > v_max then
+    raise exception '% of % transfers already used', v_used, v_max using errcode = 'check_violation';
+  end if;
+
+  for v_transfer in select * from jsonb_array_elements(p_transfers) loop
+    update public.team_riders
+    set rider_id = (v_transfer->>'rider_in_id')::uuid
+    where team_id = p_team_id
+      and slot = (v_transfer->>'slot')::int
+      and rider_id = (v_transfer->>'rider_out_id')::uuid;
+    if not found then
+      raise exception 'slot % changed', v_transfer->>'slot' using errcode = 'serialization_failure';
+    end if;
+  end loop;
+
+  update public.teams set total_cost = p_total_cost where id = p_team_id;
+
+  return query
+  insert into public.team_transfers
+    (team_id, window_id, slot, rider_out_id, rider_in_id, price_out, price_in, transferred_at, effective_from)
+  select
+    p_team_id,
+    p_window_id,
+    (t->>'slot')::int,
+    (t->>'rider_out_id')::uuid,
+    (t->>'rider_in_id')::uuid,
+    (t->>'price_out')::int,
+    (t->>'price_in')::int,
+    (t->>'transferred_at')::timestamptz,
+    (t->>'effective_from')::date
+  from jsonb_array_elements(p_transfers) as t
+  returning *;
+end;
+$$;
+
+revoke execute on function public.apply_team_transfers(uuid, uuid, jsonb, int) from public, anon, authenticated;
+
+-- Half-built teams (TeamBuilder autosave): one draft per user and season, private to the Node API
+create table if not exists public.team_drafts (
+  user_id uuid not null references public.users(id) on delete cascade,
+  season_year int not null,
+  team_name text not null default '',
+  rider_ids uuid[] not null default '{}', -- by slot; null = empty slot
+  updated_at timestamptz not null default now(),
+  primary key (user_id, season_year)
+);
+
+drop trigger if exists team_drafts_set_updated_at on public.team_drafts;
+create trigger team_drafts_set_updated_at
+before update on public.team_drafts
+for each row execute function public.set_updated_at();
+
+-- Outgoing webhooks (e.g. a group chat bot), notified after each scoring run. Service role only:
+-- the secret signs every payload.
+create table if not exists public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  url text not null,
+  secret text not null,
+  description text null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Delivery log: one row per event and webhook, updated after every attempt. Retry state lives here so
+-- the API resumes pending deliveries after a restart.
+-- status: pending (next attempt at next_attempt_at) -> delivered | failed
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks(id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts int not null default 0,
+  max_attempts int not null default 4 check (max_attempts >= 1),
+  next_attempt_at timestamptz null default now(),
+  response_status int null,
+  error text null,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz null
+);
+
+create index if not exists webhook_deliveries_webhook_idx on public.webhook_deliveries(webhook_id, created_at desc);
@@ -0,0 +1,15 @@
+-- Link hand-entered podium names (supabase/seed/seasons.sql) to player accounts.
+-- Only names that match exactly one user's display_name (case-insensitive) are linked; run it again
+-- after players have logged in and set their names. Seasons closed through the admin API are
+-- linked already.
+
+with unique_names as (
+  select lower(display_name) as name, (array_agg(id))[1] as user_id
+  from public.users
+  group by lower(display_name)
+  having count(*) = 1
+)
+update public.seasons s set
+  winner_user_id = coalesce(s.winner_user_id, (select user_id from unique_names where name = lower(s.winner))),
+  second_user_id = coalesce(s.second_user_id, (select user_id from unique_names where name = lower(s.second))),
+  third_user_id = coalesce(s.third_user_id, (select user_id from unique_names where name = lower(s.third)));
@@ -0,0 +1,9 @@
+-- Seed season configuration. Open a new season by inserting its row (or via PUT /api/admin/seasons/:year/config).
+
+insert into public.season_configs (season_year, status, roster_size, budget, lock_at) values
+  (2025, 'locked', 12, 11000, '2025-03-01 11:00:00+01')
+on conflict (season_year) do update set
+  status = excluded.status,
+  roster_size = excluded.roster_size,
+  budget = excluded.budget,
+  lock_at = excluded.lock_at;
@@ -0,0 +1,35 @@
+-- Megabike schema upgrades (Postgres)
+-- For databases created from an older schema.sql: `create table if not exists` skips existing tables,
+-- so columns and data fixes added since are applied here. Run after schema.sql; safe to re-run.
+
+-- last_login_at: set on login, shown next to each access code in the admin console.
+alter table public.users add column if not exists last_login_at timestamptz null;
+
+-- final_rank: position in the final standings, written when an admin closes a season.
+alter table public.teams add column if not exists final_rank int null check (final_rank >= 1);
+
+-- teams.locked used to default to true, so every team was written locked. Unlock the ones from seasons
+-- that are not closed yet and switch the default; skipped once the default is false.
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'teams' and column_name = 'locked' and column_default = 'true'
+  ) then
+    update public.teams set locked = false where final_rank is null;
+    alter table public.teams alter column locked set default false;
+  end if;
+end $$;
+
+-- Hall of fame podium links to users and teams.
+alter table public.seasons add column if not exists winner_user_id uuid null references public.users(id) on delete set null;
+alter table public.seasons add column if not exists second_user_id uuid null references public.users(id) on delete set null;
+alter table public.seasons add column if not exists third_user_id uuid null references public.users(id) on delete set null;
+alter table public.seasons add column if not exists winner_team_id uuid null references public.teams(id) on delete set null;
+alter table public.seasons add column if not exists second_team_id uuid null references public.teams(id) on delete set null;
+alter table public.seasons add column if not exists third_team_id uuid null references public.teams(id) on delete set null;
+
+-- Webhook retry state, so pending deliveries survive an API restart. Only pending rows need a next attempt.
+alter table public.webhook_deliveries add column if not exists max_attempts int not null default 4 check (max_attempts >= 1);
+alter table public.webhook_deliveries add column if not exists next_attempt_at timestamptz null default now();
+update public.webhook_deliveries set next_attempt_at = null where status <> 'pending' and next_attempt_at is not null;